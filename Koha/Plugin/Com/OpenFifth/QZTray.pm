@@ -4,15 +4,19 @@ use Modern::Perl;
 
 use base qw(Koha::Plugins::Base);
 
+use C4::Auth qw( checkpw checkpw_hash haspermission );
 use C4::Context;
 use CGI;
 use Koha::DateUtils qw( dt_from_string );
 use JSON qw( decode_json );
+use Koha::AuthorisedValues;
+use Koha::AuthUtils qw( hash_password );
 use Koha::Encryption;
 use Koha::Exceptions;
 use Koha::Logger;
 use Koha::Cash::Registers;
 use Koha::Libraries;
+use Koha::Patrons;
 use Try::Tiny;
 
 # Bounds for the QZ availability-probe timeout (ms), configurable per install
@@ -22,6 +26,39 @@ use constant {
     AVAILABILITY_TIMEOUT_MAX     => 30000,
 };
 
+# Bounds for how long a drawer or transaction lock may be held (seconds)
+# before the browser releases it anyway
+use constant {
+    LOCK_TIMEOUT_DEFAULT => 30,
+    LOCK_TIMEOUT_MIN     => 5,
+    LOCK_TIMEOUT_MAX     => 600,
+};
+
+# Bounds for per-register drawer pulse timings (ms). ESC p counts pulse
+# time in 2ms units held in a single byte, so 2..510ms is all it can express.
+use constant {
+    DRAWER_PULSE_MIN => 2,
+    DRAWER_PULSE_MAX => 510,
+};
+
+# Supervisor overrides for no-sale openings: how long an authorisation may be
+# used for, and how long the drawer event may take to arrive once it has been
+# used (seconds), and how many failed attempts (wrong PIN or password)
+# lock a supervisor out of authorising overrides
+use constant {
+    NO_SALE_AUTHORISATION_TTL => 300,
+    NO_SALE_RECORDING_TTL => 3600,
+    SUPERVISOR_MAX_FAILURES => 5,
+};
+
+# Drawer reconciliation report: no-sales per register and day above which a
+# day is flagged, and how long after a drawer opens (seconds) a payment or
+# cash register action may be committed and still count as its transaction
+use constant {
+    NO_SALE_ALERT_THRESHOLD_DEFAULT => 5,
+    RECONCILIATION_MATCH_WINDOW     => 600,
+};
+
 # Optional dependencies - gracefully handle missing OpenSSL modules
 our $OPENSSL_AVAILABLE = 1;
 eval {
@@ -46,8 +83,10 @@ our $metadata = {
     version         => $VERSION,
 };
 
-# Definitive printer support mapping
-# Maps printer name patterns to drawer control codes
+# Built-in printer support mapping
+# Maps printer name patterns to drawer control codes. Admins can add their own
+# patterns (or override these) on the configuration page; see
+# _get_printer_registry for how the two are merged.
 # Pattern matching is case-insensitive
 our $PRINTER_DRAWER_CODES = {
     # Bixolon printers
@@ -104,6 +143,15 @@ our $PRINTER_DRAWER_CODES = {
     },
 };
 
+# Printer command dialects a profile can declare, with the drawer kick used
+# when a custom pattern leaves its drawer code blank. QZCommandSet builds
+# drawer kicks and receipts in each dialect.
+our $DRAWER_DIALECTS = {
+    escpos    => { label => 'ESC/POS',   bytes => [27, 112, 48, 55, 121] },   # ESC p 0 110ms 242ms
+    star_line => { label => 'Star Line', bytes => [7] },                      # BEL
+    starprnt  => { label => 'StarPRNT',  bytes => [27, 29, 7, 1, 20, 20] },   # ESC GS BEL 1 200ms 200ms
+};
+
 # Default drawer code for unknown printers
 our $DEFAULT_DRAWER_CODE = {
     code => 'ESC_p_0_55_y',
@@ -111,6 +159,127 @@ our $DEFAULT_DRAWER_CODE = {
     description => 'Default/Generic ESC/POS'
 };
 
+# Columns of the drawer_events audit table, in order. Upgrades add any that
+# are missing, so new columns only need appending here.
+our @DRAWER_EVENT_COLUMNS = (
+    [ id             => 'INT(11) NOT NULL AUTO_INCREMENT' ],
+    [ created_on     => 'TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP' ],
+    [ outcome        => 'VARCHAR(16) NOT NULL' ],
+    [ borrowernumber => 'INT(11) NULL DEFAULT NULL' ],
+    [ register_id    => 'INT(11) NULL DEFAULT NULL' ],
+    [ branchcode     => 'VARCHAR(10) NULL DEFAULT NULL' ],
+    [ printer        => 'VARCHAR(255) NULL DEFAULT NULL' ],
+    [ trigger_description => 'VARCHAR(255) NULL DEFAULT NULL' ],
+    [ page_url       => 'VARCHAR(255) NULL DEFAULT NULL' ],
+    [ error_message  => 'TEXT NULL' ],
+    [ event_type     => "VARCHAR(16) NOT NULL DEFAULT 'transaction'" ],
+    [ reason         => 'VARCHAR(255) NULL DEFAULT NULL' ],
+    [ note           => 'TEXT NULL' ],
+    [ authorised_by  => 'INT(11) NULL DEFAULT NULL' ],
+    [ transaction_token => 'VARCHAR(64) NULL DEFAULT NULL' ],
+);
+
+# Serial-port cash drawers: selectable baud rates, and the byte sent when none
+# is configured (most serial drawer interfaces open on any byte received)
+our @SERIAL_BAUD_RATES = (1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200);
+our $DEFAULT_SERIAL_BAUD_RATE = 9600;
+our $DEFAULT_SERIAL_DRAWER_BYTES = [7];
+
+# Reasons offered when the POS toolbar opens the drawer outside a payment,
+# until an admin configures their own. "Other" is always offered as well.
+our @DEFAULT_NO_SALE_REASONS = ('Making change', 'Float check', 'Error correction');
+
+# Koha permission staff need to open the drawer without a transaction, as
+# "module" or "module:subpermission". Blank lets anyone with POS access do so.
+our $NO_SALE_PERMISSION_PATTERN = qr/^([a-z_]+)(?::([a-z_]+))?$/;
+
+# PAYMENT_TYPE authorised values that open the drawer on payment pages, until
+# an admin chooses their own. Other payment types submit without opening it.
+our @DEFAULT_CASH_PAYMENT_TYPES = ('CASH');
+
+# Koha buttons replaced with drawer-opening versions, until an admin edits the
+# list. Keys are passed unchanged to QZPageDetector via window.qzConfig. An
+# anchorSelector names an element (usually the button's form) whose presence
+# means the button should be there too, so selector health can report a miss.
+our @DEFAULT_PAGE_TRIGGER_CONFIGS = (
+    {
+        urlPattern          => 'pos/pay.pl',
+        selector            => '#submitbutton',
+        drawerButtonText    => 'Confirm',
+        originalButtonText  => 'Commit payment',
+        description         => 'POS Payment Confirmation',
+        paymentTypeSelector => '[name="payment_type"]',
+    },
+    {
+        urlPattern         => 'pos/register.pl',
+        selector           => '#triggerCashupModal button[type="submit"].btn-primary',
+        drawerButtonText   => 'Start cashup',
+        originalButtonText => 'Start cashup',
+        description        => 'POS Register Start Two-Stage Cashup',
+    },
+    {
+        urlPattern         => 'pos/register.pl',
+        selector           => '#triggerCashupModal button[type="button"].btn-success',
+        drawerButtonText   => 'Quick cashup',
+        originalButtonText => 'Quick cashup',
+        description        => 'POS Register Cashup Confirm (Quick cashup only)',
+    },
+    {
+        urlPattern         => 'pos/register.pl',
+        selector           => '#pos_refund_confirm',
+        drawerButtonText   => 'Confirm',
+        originalButtonText => 'Confirm',
+        description        => 'POS Refund Confirmation',
+    },
+    {
+        urlPattern                  => 'pos/registers.pl',
+        selector                    => 'button.cashup_individual[data-registerid]',
+        drawerButtonText            => 'Record cashup',
+        originalButtonText          => 'Record cashup',
+        description                 => 'Individual Register Cashup (from list)',
+        requireSessionRegisterMatch => 1,
+    },
+    {
+        urlPattern                  => 'pos/registers.pl',
+        selector                    => 'button.pos_complete_cashup[data-registerid]',
+        drawerButtonText            => 'Complete cashup',
+        originalButtonText          => 'Complete cashup',
+        description                 => 'Complete Register Cashup (from list)',
+        requireSessionRegisterMatch => 1,
+    },
+    {
+        urlPattern         => 'members/boraccount.pl',
+        selector           => '#borr_payout_confirm',
+        drawerButtonText   => 'Confirm',
+        originalButtonText => 'Commit payout',
+        description        => 'Member Account Payout',
+    },
+    {
+        urlPattern          => 'members/paycollect.pl',
+        selector            => '#payindivfine input[name="submitbutton"]',
+        anchorSelector      => '#payindivfine',
+        drawerButtonText    => 'Confirm',
+        originalButtonText  => 'Confirm',
+        description         => 'Member Individual Payment',
+        paymentTypeSelector => '[name="payment_type"]',
+    },
+    {
+        urlPattern          => 'members/paycollect.pl',
+        selector            => '#payfine input[name="submitbutton"]',
+        anchorSelector      => '#payfine',
+        drawerButtonText    => 'Confirm',
+        originalButtonText  => 'Confirm',
+        description         => 'Member Payment (All/Selected)',
+        skipIfWriteoff      => 1,
+        paymentTypeSelector => '[name="payment_type"]',
+    },
+);
+
+# Page trigger flags an admin can choose, and the tests a trigger condition
+# may use (see qz-page-detector.js)
+our @PAGE_TRIGGER_FLAGS = qw( skipIfWriteoff requireSessionRegisterMatch );
+our @PAGE_TRIGGER_CONDITION_TESTS = qw( equals notEquals greaterThanZero checked present );
+
 sub new {
     my ( $class, $args ) = @_;
 
@@ -170,6 +339,10 @@ sub configure {
         my $mappings_data = {};
         eval { $mappings_data = decode_json($register_mappings); };
 
+        # Per-register drawer pin/pulse overrides and serial-port drawers
+        my $drawer_settings = $self->_get_register_drawer_settings();
+        my $serial_drawers = $self->_get_register_serial_drawers();
+
         # Get available cash registers grouped by library
         my $current_library_id = C4::Context->userenv->{'branch'};
         my $current_register_id = C4::Context->userenv->{'register_id'} || '';
@@ -186,6 +359,36 @@ sub configure {
         # Get printer discovery data (always loaded for printer settings)
         my $discovery = $self->_get_printer_discovery();
 
+        # Page triggers whose selector stopped matching, since a date and/or
+        # Koha version (defaults to the running version, i.e. since upgrade)
+        my $health_since;
+        eval { $health_since = dt_from_string( scalar $cgi->param('health_since') ) if $cgi->param('health_since'); };
+        my $health_since_version = $cgi->param('health_since_version') // $self->_koha_version;
+        $health_since_version =~ s/^\s+|\s+$//g;
+        $health_since_version = '' unless $health_since_version =~ /^\d+(?:\.\d+)*$/;
+        my $selector_health = $self->_get_selector_health({
+            since         => $health_since,
+            since_version => $health_since_version,
+        });
+
+        # Admin-defined printer patterns (editable) and the built-in defaults
+        my $custom_printer_codes = [
+            map { { %$_, bytes_text => $self->_format_drawer_bytes( $_->{bytes} ) } }
+                @{ $self->_get_custom_printer_codes() }
+        ];
+        my %overridden = map { lc( $_->{pattern} ) => 1 } @$custom_printer_codes;
+        my $builtin_printer_codes = [
+            map {
+                {
+                    pattern     => $_,
+                    description => $PRINTER_DRAWER_CODES->{$_}->{description},
+                    bytes_text  => $self->_format_drawer_bytes( $PRINTER_DRAWER_CODES->{$_}->{bytes} ),
+                    dialect     => $DRAWER_DIALECTS->{ $PRINTER_DRAWER_CODES->{$_}->{dialect} || 'escpos' }->{label},
+                    overridden  => $overridden{ lc $_ } ? 1 : 0,
+                }
+            } sort keys %$PRINTER_DRAWER_CODES
+        ];
+
         # Group registers by library and add supported printer data
         my %registers_by_library;
         while (my $register = $registers->next) {
@@ -198,14 +401,27 @@ sub configure {
                 $discovery->{$branch_code}->{registers}->{$register_id} || {};
             my @all_printer_names = keys %{$register_discovery->{printers} || {}};
 
-            # Filter to only supported printers
+            # Filter to only supported printers. Network targets are set in
+            # their own field rather than picked from the list.
             my @supported_printers;
+            my $network_targets = 0;
             foreach my $printer (@all_printer_names) {
-                if ($self->_is_supported_printer($printer)) {
+                if ($self->_parse_network_target($printer)) {
+                    $network_targets++;
+                }
+                elsif ($self->_is_supported_printer($printer)) {
                     push @supported_printers, $printer;
                 }
             }
 
+            # Serial ports discovered at this register, plus any already configured
+            my %serial_ports = %{ $register_discovery->{serial_ports} || {} };
+            my $serial_drawer = $serial_drawers->{$register_id};
+            $serial_ports{ $serial_drawer->{port} } = 1 if $serial_drawer;
+
+            my $mapped_printer = $mappings_data->{$register_id} // '';
+            my $network_printer = $self->_parse_network_target($mapped_printer) ? $mapped_printer : '';
+
             push @{$registers_by_library{$library->branchcode}}, {
                 id => $register->id,
                 name => $register->name,
@@ -213,7 +429,13 @@ sub configure {
                 is_current => ($register->id eq $current_register_id),
                 library => $library,
                 supported_printers => \@supported_printers,
-                has_unsupported => (scalar(@all_printer_names) > scalar(@supported_printers)),
+                network_printer => $network_printer,
+                serial_ports => [ sort keys %serial_ports ],
+                serial_drawer => $serial_drawer ? {
+                    %$serial_drawer,
+                    bytes_text => $self->_format_drawer_bytes( $serial_drawer->{bytes} ),
+                } : undef,
+                has_unsupported => (scalar(@all_printer_names) > scalar(@supported_printers) + $network_targets),
             };
         }
 
@@ -233,10 +455,31 @@ sub configure {
             $cert_expired = $self->retrieve_data('certificate_expired');
         }
 
-        # Get debug mode, discovery mode, and auto-submit settings
+        # Get debug mode, discovery mode, auto-submit and receipt settings
         my $debug_mode = $self->retrieve_data('debug_mode') || 0;
         my $discovery_mode = $self->retrieve_data('discovery_mode') || 0;
         my $auto_submit_after_drawer = $self->retrieve_data('auto_submit_after_drawer') || 0;
+        my $receipt_printing = $self->retrieve_data('receipt_printing') || 0;
+        my $queue_drawer_requests = $self->retrieve_data('queue_drawer_requests') || 0;
+        my $no_sale_supervisor_override = $self->retrieve_data('no_sale_supervisor_override') || 0;
+
+        # Supervisors with an override PIN, or locked out of overrides, for
+        # the PIN list
+        my $pins = $self->_get_supervisor_pins();
+        my $supervisor_failures = $self->_get_supervisor_failures();
+        my @supervisor_pins;
+        my %listed = map { $_ => 1 } keys %$pins,
+            grep { $supervisor_failures->{$_} >= SUPERVISOR_MAX_FAILURES } keys %$supervisor_failures;
+        foreach my $borrowernumber (sort { $a <=> $b } keys %listed) {
+            my $patron = Koha::Patrons->find($borrowernumber) or next;
+            push @supervisor_pins, {
+                borrowernumber => $borrowernumber,
+                userid         => $patron->userid,
+                name           => join( ' ', grep { defined && length } $patron->firstname, $patron->surname ),
+                has_pin        => $pins->{$borrowernumber} ? 1 : 0,
+                locked         => ( $supervisor_failures->{$borrowernumber} || 0 ) >= SUPERVISOR_MAX_FAILURES ? 1 : 0,
+            };
+        }
         my $availability_timeout_ms = $self->_availability_timeout_ms;
 
         # Prepare unified debug display (shown in debug mode). Printer discovery
@@ -273,6 +516,7 @@ sub configure {
                     my $disc_reg = $disc_branch->{registers}->{$register_id} || {};
                     my $fail_reg = $fail_branch->{registers}->{$register_id} || {};
                     my $printers = $disc_reg->{printers} || {};
+                    my $serial_ports = $disc_reg->{serial_ports} || {};
 
                     my $register_entry = {
                         register_id => $register_id,
@@ -282,6 +526,15 @@ sub configure {
                         printer_count        => scalar(keys %$printers),
                         supported_printers   => [],
                         unsupported_printers => [],
+                        serial_ports         => [
+                            map {
+                                {
+                                    name => $_,
+                                    first_seen_formatted => scalar(localtime($serial_ports->{$_}->{first_seen})),
+                                    last_seen_formatted => scalar(localtime($serial_ports->{$_}->{last_seen}))
+                                }
+                            } sort keys %$serial_ports
+                        ],
                         failure_categories   => [],
                     };
 
@@ -290,6 +543,7 @@ sub configure {
                         my $printer_info = $printers->{$printer_name};
                         my $printer_display = {
                             name => $printer_name,
+                            is_network => $self->_parse_network_target($printer_name) ? 1 : 0,
                             first_seen_formatted => scalar(localtime($printer_info->{first_seen})),
                             last_seen_formatted => scalar(localtime($printer_info->{last_seen}))
                         };
@@ -314,6 +568,8 @@ sub configure {
                             error_name => $cat->{error_name} || '',
                             timeout_ms => $cat->{timeout_ms},
                             secure_context => $cat->{secure_context},
+                            connection => $cat->{connection} || '',
+                            connection_method => $cat->{connection_method} || '',
                             printer => $cat->{printer} || '',
                             user_agent => $cat->{user_agent} || '',
                             page_url => $cat->{page_url} || '',
@@ -338,13 +594,46 @@ sub configure {
             certificate_expires_soon => $cert_expires_soon,
             certificate_expired => $cert_expired,
             register_mappings => $mappings_data,
+            register_drawer_settings => $drawer_settings,
+            serial_baud_rates => \@SERIAL_BAUD_RATES,
+            default_serial_baud_rate => $DEFAULT_SERIAL_BAUD_RATE,
             registers_by_library => \%registers_by_library,
+            custom_printer_codes => $custom_printer_codes,
+            builtin_printer_codes => $builtin_printer_codes,
+            drawer_dialects => [
+                map { { code => $_, label => $DRAWER_DIALECTS->{$_}->{label} } }
+                    qw(escpos star_line starprnt)
+            ],
             current_library_id => $current_library_id,
             current_register_id => $current_register_id,
             debug_mode => $debug_mode,
             discovery_mode => $discovery_mode,
             auto_submit_after_drawer => $auto_submit_after_drawer,
+            receipt_printing => $receipt_printing,
+            queue_drawer_requests => $queue_drawer_requests,
+            no_sale_reasons => $self->_get_no_sale_reasons(),
+            payment_types => $self->_get_payment_types(),
+            page_triggers => [
+                map {
+                    my $config = $_;
+                    {
+                        %$config,
+                        flag => ( grep { $config->{$_} } @PAGE_TRIGGER_FLAGS )[0] // '',
+                        conditions_json => $config->{conditions} ? JSON::encode_json( $config->{conditions} ) : '',
+                    }
+                } @{ $self->_get_page_trigger_configs() }
+            ],
+            page_trigger_flags => \@PAGE_TRIGGER_FLAGS,
+            selector_health => $selector_health->{triggers},
+            selector_health_since => $selector_health->{since},
+            selector_health_since_version => $selector_health->{since_version},
+            koha_version => $self->_koha_version,
+            no_sale_permission => $self->retrieve_data('no_sale_permission') // '',
+            no_sale_supervisor_override => $no_sale_supervisor_override,
+            supervisor_pins => \@supervisor_pins,
+            no_sale_alert_threshold => $self->_no_sale_alert_threshold,
             availability_timeout_ms => $availability_timeout_ms,
+            lock_timeout_seconds => $self->_lock_timeout_seconds,
             debug_data => $debug_data,
             debug_has_failures => $debug_has_failures,
             printer_discovery_data => $discovery,
@@ -448,9 +737,19 @@ sub configure {
             my $mappings_data = {};
             eval { $mappings_data = decode_json($register_mappings); };
 
+            my $drawer_settings = $self->_get_register_drawer_settings();
+            my $serial_drawers = $self->_get_register_serial_drawers();
+
             # Process register mappings from form (all registers allowed)
             my @register_ids = $cgi->multi_param('register_id');
             my @register_printers = $cgi->multi_param('register_printer');
+            my @network_printers = $cgi->multi_param('register_network_printer');
+            my @drawer_pins = $cgi->multi_param('register_drawer_pin');
+            my @pulses_on = $cgi->multi_param('register_pulse_on');
+            my @pulses_off = $cgi->multi_param('register_pulse_off');
+            my @serial_ports = $cgi->multi_param('register_serial_port');
+            my @serial_bauds = $cgi->multi_param('register_serial_baud');
+            my @serial_bytes = $cgi->multi_param('register_serial_bytes');
 
             for my $i (0..$#register_ids) {
                 my $register_id = $register_ids[$i] || '';
@@ -458,18 +757,108 @@ sub configure {
 
                 # Validate register_id is numeric
                 if ($register_id =~ /^\d+$/) {
+                    # A network printer (host:port) takes precedence over the OS printer
+                    my $network_printer = $network_printers[$i] // '';
+                    $network_printer =~ s/^\s+|\s+$//g;
+                    if (length $network_printer) {
+                        if ($self->_parse_network_target($network_printer)) {
+                            $register_printer = $network_printer;
+                        } else {
+                            push @errors, "Network printer '"
+                                . $self->_sanitize_printer_name($network_printer)
+                                . "' must be given as host:port, e.g. 192.168.1.50:9100";
+                            $register_printer = $mappings_data->{$register_id} // '';
+                        }
+                    }
+
                     if ($register_printer) {
                         $mappings_data->{$register_id} = $register_printer;
                     } else {
                         delete $mappings_data->{$register_id};
                     }
+
+                    # Drawer overrides - blank fields fall back to the printer's own code
+                    my %drawer;
+                    my $pin = $drawer_pins[$i] // '';
+                    $drawer{pin} = $pin + 0 if $pin =~ /^[25]$/;
+                    for my $field (
+                        [ pulse_on  => $pulses_on[$i] ],
+                        [ pulse_off => $pulses_off[$i] ],
+                    ) {
+                        my ($name, $value) = @$field;
+                        next unless defined $value && $value =~ /^\d+$/;
+                        $value = DRAWER_PULSE_MIN if $value < DRAWER_PULSE_MIN;
+                        $value = DRAWER_PULSE_MAX if $value > DRAWER_PULSE_MAX;
+                        $drawer{$name} = $value + 0;
+                    }
+
+                    if (%drawer) {
+                        $drawer_settings->{$register_id} = \%drawer;
+                    } else {
+                        delete $drawer_settings->{$register_id};
+                    }
+
+                    # Serial-port drawer - opened directly instead of through the printer
+                    my $serial_port = $self->_sanitize_printer_name($serial_ports[$i] // '');
+                    $serial_port =~ s/^\s+|\s+$//g;
+                    if (length $serial_port) {
+                        my $baud = $serial_bauds[$i] // '';
+                        $baud = $DEFAULT_SERIAL_BAUD_RATE
+                            unless grep { $_ eq $baud } @SERIAL_BAUD_RATES;
+
+                        my $bytes_text = $serial_bytes[$i] // '';
+                        my ($bytes, $error) = $bytes_text =~ /\S/
+                            ? $self->_parse_drawer_bytes($bytes_text)
+                            : ( [@$DEFAULT_SERIAL_DRAWER_BYTES] );
+
+                        if ($bytes) {
+                            $serial_drawers->{$register_id} = {
+                                port      => $serial_port,
+                                baud_rate => $baud + 0,
+                                bytes     => $bytes,
+                            };
+                        } else {
+                            push @errors, "Serial drawer on '$serial_port': $error";
+                        }
+                    } else {
+                        delete $serial_drawers->{$register_id};
+                    }
                 }
             }
 
-            # Handle debug mode, discovery mode, and auto-submit settings
+            # Handle debug mode, discovery mode, auto-submit and receipt settings
             my $debug_mode = $cgi->param('debug_mode') ? 1 : 0;
             my $discovery_mode = $cgi->param('discovery_mode') ? 1 : 0;
             my $auto_submit_after_drawer = $cgi->param('auto_submit_after_drawer') ? 1 : 0;
+            my $receipt_printing = $cgi->param('receipt_printing') ? 1 : 0;
+            my $queue_drawer_requests = $cgi->param('queue_drawer_requests') ? 1 : 0;
+            my $no_sale_supervisor_override = $cgi->param('no_sale_supervisor_override') ? 1 : 0;
+            my $no_sale_alert_threshold = $cgi->param('no_sale_alert_threshold') // '';
+            $no_sale_alert_threshold = NO_SALE_ALERT_THRESHOLD_DEFAULT
+                unless $no_sale_alert_threshold =~ /^\d+$/;
+
+            # No-sale reasons, one per line; "Other" is always offered separately
+            my %seen_reason;
+            my @no_sale_reasons =
+                grep { length && lc ne 'other' && !$seen_reason{ lc $_ }++ }
+                map { s/^\s+|\s+$//gr }
+                map { $self->_sanitize_printer_name($_) }
+                split /\r?\n/, ( $cgi->param('no_sale_reasons') // '' );
+
+            # Payment types that open the drawer; none ticked means every type does
+            my %payment_type_codes = map { $_->{code} => 1 } @{ $self->_get_payment_types() };
+            my @cash_payment_types =
+                grep { $payment_type_codes{$_} }
+                $cgi->multi_param('cash_payment_types');
+
+            # Permission needed for no-sale openings; must be one Koha knows
+            my $no_sale_permission = $cgi->param('no_sale_permission') // '';
+            $no_sale_permission =~ s/^\s+|\s+$//g;
+            if ( length $no_sale_permission && !$self->_is_known_permission($no_sale_permission) ) {
+                push @errors, "No-sale permission '$no_sale_permission' is not a Koha permission; "
+                    . "use 'module' or 'module:subpermission', e.g. 'cash_management:cashup'";
+                $no_sale_permission = $self->retrieve_data('no_sale_permission') // '';
+            }
 
             # Availability probe timeout (ms) — clamp to sane range, default on invalid
             my $availability_timeout_ms = $cgi->param('availability_timeout_ms');
@@ -482,21 +871,163 @@ sub configure {
                 $availability_timeout_ms = AVAILABILITY_TIMEOUT_DEFAULT;
             }
 
+            # Lock timeout (seconds) — clamp to sane range, default on invalid
+            my $lock_timeout_seconds = $cgi->param('lock_timeout_seconds');
+            if (defined $lock_timeout_seconds && $lock_timeout_seconds =~ /^\d+$/) {
+                $lock_timeout_seconds = LOCK_TIMEOUT_MIN if $lock_timeout_seconds < LOCK_TIMEOUT_MIN;
+                $lock_timeout_seconds = LOCK_TIMEOUT_MAX if $lock_timeout_seconds > LOCK_TIMEOUT_MAX;
+            } else {
+                $lock_timeout_seconds = LOCK_TIMEOUT_DEFAULT;
+            }
+
             $self->store_data(
                 {
                     register_printer_mappings => JSON::encode_json($mappings_data),
+                    register_drawer_settings => JSON::encode_json($drawer_settings),
+                    register_serial_drawers => JSON::encode_json($serial_drawers),
                     debug_mode => $debug_mode,
                     discovery_mode => $discovery_mode,
                     auto_submit_after_drawer => $auto_submit_after_drawer,
+                    receipt_printing => $receipt_printing,
+                    queue_drawer_requests => $queue_drawer_requests,
+                    no_sale_reasons => JSON::encode_json(\@no_sale_reasons),
+                    cash_payment_types => JSON::encode_json(\@cash_payment_types),
+                    no_sale_permission => $no_sale_permission,
+                    no_sale_supervisor_override => $no_sale_supervisor_override,
+                    no_sale_alert_threshold => $no_sale_alert_threshold,
                     availability_timeout_ms => $availability_timeout_ms,
+                    lock_timeout_seconds => $lock_timeout_seconds,
                 }
             );
 
+            # Supervisor override PINs: drop the ticked ones, unlock the ticked
+            # supervisors, then set any new PIN (which also unlocks)
+            my $pins = $self->_get_supervisor_pins();
+            delete $pins->{$_} for $cgi->multi_param('remove_supervisor_pin');
+            $self->_clear_supervisor_failures( $cgi->multi_param('unlock_supervisor') );
+
+            my $pin_userid = $cgi->param('supervisor_pin_userid') // '';
+            my $pin        = $cgi->param('supervisor_pin') // '';
+            $pin_userid =~ s/^\s+|\s+$//g;
+            if ( length $pin_userid || length $pin ) {
+                my $patron = length $pin_userid ? Koha::Patrons->find( { userid => $pin_userid } ) : undef;
+                if ( !$patron ) {
+                    push @errors, "Supervisor PIN: no staff member has the username '$pin_userid'";
+                } elsif ( $pin !~ /^\d{4,8}$/ ) {
+                    push @errors, 'Supervisor PIN: the PIN must be 4 to 8 digits';
+                } elsif ( !$self->_can_open_no_sale( $patron->userid ) ) {
+                    push @errors, "Supervisor PIN: '$pin_userid' doesn't have the no-sale permission";
+                } else {
+                    $pins->{ $patron->borrowernumber } = { hash => hash_password($pin) };
+                    $self->_clear_supervisor_failures( $patron->borrowernumber );
+                }
+            }
+            $self->store_data({ supervisor_pins => JSON::encode_json($pins) });
+
             # Log register printer configuration changes
             $self->_log_event('info', 'Register printer mapping updated', {
                 action => 'register_printer_config_change',
-                total_mappings => scalar(keys %$mappings_data)
+                total_mappings => scalar(keys %$mappings_data),
+                total_drawer_overrides => scalar(keys %$drawer_settings),
+                total_serial_drawers => scalar(keys %$serial_drawers)
             });
+
+            # Admin-defined printer patterns, kept in the order they were listed
+            if ($cgi->param('printer_registry_submitted')) {
+                my @patterns     = $cgi->multi_param('printer_pattern');
+                my @bytes        = $cgi->multi_param('printer_bytes');
+                my @descriptions = $cgi->multi_param('printer_description');
+                my @matches      = $cgi->multi_param('printer_match');
+                my @priorities   = $cgi->multi_param('printer_priority');
+                my @dialects     = $cgi->multi_param('printer_dialect');
+
+                my @custom_codes;
+                my @registry_errors;
+                my %seen;
+                for my $i (0..$#patterns) {
+                    my $pattern = $self->_sanitize_printer_name($patterns[$i] // '');
+                    $pattern =~ s/^\s+|\s+$//g;
+                    my $bytes_text = $bytes[$i] // '';
+                    next unless length $pattern || $bytes_text =~ /\S/;
+
+                    unless (length $pattern) {
+                        push @registry_errors, "Printer pattern is required for drawer code '$bytes_text'";
+                        next;
+                    }
+                    my $dialect = $dialects[$i] // 'escpos';
+                    $dialect = 'escpos' unless $DRAWER_DIALECTS->{$dialect};
+
+                    # A blank drawer code means the dialect's standard drawer kick
+                    my ($parsed, $error) = $bytes_text =~ /\S/
+                        ? $self->_parse_drawer_bytes($bytes_text)
+                        : ( [ @{ $DRAWER_DIALECTS->{$dialect}->{bytes} } ] );
+                    unless ($parsed) {
+                        push @registry_errors, "Printer pattern '$pattern': $error";
+                        next;
+                    }
+
+                    my $match = $matches[$i] // 'contains';
+                    $match = 'contains' unless $match =~ /^(?:contains|exact|regex)$/;
+                    if ($seen{ $match . ':' . lc $pattern }++) {
+                        push @registry_errors, "Printer pattern '$pattern' is listed more than once";
+                        next;
+                    }
+                    if ($match eq 'regex') {
+                        my $regex_error = $self->_portable_regex_error($pattern);
+                        if ($regex_error) {
+                            push @registry_errors, "Printer pattern '$pattern' can't be used as a regular expression: $regex_error";
+                            next;
+                        }
+                    }
+
+                    my $priority = $priorities[$i] // '';
+                    $priority = 0 unless $priority =~ /^-?\d{1,4}$/;
+
+                    my $description = $self->_sanitize_printer_name($descriptions[$i] // '');
+                    push @custom_codes, {
+                        pattern     => $pattern,
+                        match       => $match,
+                        priority    => $priority + 0,
+                        dialect     => $dialect,
+                        bytes       => $parsed,
+                        description => length $description ? $description : $pattern,
+                    };
+                }
+
+                if (@registry_errors) {
+                    push @errors, @registry_errors;
+                } else {
+                    $self->store_data({ printer_drawer_codes => JSON::encode_json(\@custom_codes) });
+                    $self->_log_event('info', 'Printer drawer code registry updated', {
+                        action => 'printer_registry_change',
+                        total_patterns => scalar(@custom_codes)
+                    });
+                }
+            }
+
+            # Page triggers, kept in the order they were listed
+            if ($cgi->param('page_triggers_submitted')) {
+                my ( $page_triggers, $trigger_errors ) = $self->_parse_page_trigger_configs($cgi);
+
+                if (@$trigger_errors) {
+                    push @errors, @$trigger_errors;
+                } else {
+                    # An unchanged list is stored blank so it keeps following
+                    # the defaults shipped with future versions
+                    my $canonical = JSON->new->canonical;
+                    my $page_triggers_json = $canonical->encode($page_triggers);
+                    $page_triggers_json = ''
+                        if $cgi->param('page_triggers_reset')
+                        || $page_triggers_json eq $canonical->encode( [@DEFAULT_PAGE_TRIGGER_CONFIGS] );
+
+                    $self->store_data({ page_trigger_configs => $page_triggers_json });
+                    $self->_log_event('info', 'Page trigger configuration updated', {
+                        action => 'page_trigger_change',
+                        total_triggers => scalar(@$page_triggers),
+                        defaults => length $page_triggers_json ? 0 : 1
+                    });
+                }
+            }
         }
 
         # Validate certificate and key compatibility if both are provided
@@ -548,6 +1079,52 @@ sub configure {
     }
 }
 
+sub report {
+    my ( $self, $args ) = @_;
+    my $cgi = $self->{'cgi'};
+
+    my $template = $self->get_template( { file => 'templates/report.tt' } );
+
+    # Date range defaults to the last 7 days; register is optional
+    my ( $from, $to );
+    eval { $from = dt_from_string( scalar $cgi->param('from') ) if $cgi->param('from'); };
+    eval { $to   = dt_from_string( scalar $cgi->param('to') )   if $cgi->param('to'); };
+    $to   ||= dt_from_string();
+    $from ||= $to->clone->subtract( days => 6 );
+    ( $from, $to ) = ( $to, $from ) if $from > $to;
+
+    my $register_id = $cgi->param('register_id') // '';
+    $register_id = '' unless $register_id =~ /^\d+$/;
+
+    my $registers = Koha::Cash::Registers->search(
+        {},
+        {
+            order_by => [ { '-asc' => 'branch' }, { '-asc' => 'name' } ],
+            prefetch => 'branch'
+        }
+    );
+
+    my $reconciliation = $self->_get_drawer_reconciliation({
+        from        => $from,
+        to          => $to,
+        register_id => $register_id,
+    });
+
+    $template->param(
+        from                    => $from->ymd,
+        to                      => $to->ymd,
+        register_id             => $register_id,
+        registers               => [ $registers->as_list ],
+        days                    => $reconciliation->{days},
+        unmatched_events        => $reconciliation->{unmatched_events},
+        no_sale_events          => $reconciliation->{no_sale_events},
+        no_sale_alert_threshold => $self->_no_sale_alert_threshold,
+        match_window_minutes    => RECONCILIATION_MATCH_WINDOW / 60,
+    );
+
+    $self->output_html( $template->output() );
+}
+
 sub intranet_js {
     my ($self) = @_;
 
@@ -559,15 +1136,13 @@ sub intranet_js {
     # Get debug mode to conditionally log
     my $debug_mode = $self->retrieve_data('debug_mode') || 0;
 
-    # List of script patterns that need QZ Tray integration
+    # Scripts with a page trigger need QZ Tray integration, as does the POS
+    # page for its toolbar and till receipts whatever the triggers say.
     # Using partial path matching since SCRIPT_NAME may vary
-    my @supported_patterns = (
-        'pos/pay.pl',
-        'pos/register.pl',
-        'pos/registers.pl',       # List view - only triggers for session register
-        'members/boraccount.pl',
-        'members/paycollect.pl',
-    );
+    my %seen_pattern;
+    my @supported_patterns =
+        grep { length && !$seen_pattern{$_}++ }
+        ( 'pos/pay.pl', map { $_->{urlPattern} // '' } @{ $self->_get_page_trigger_configs() } );
 
     # Check if current script matches any supported pattern
     foreach my $pattern (@supported_patterns) {
@@ -588,16 +1163,24 @@ sub intranet_js {
 
 sub install {
     my ( $self, $args ) = @_;
+    $self->_ensure_drawer_events_table();
+    $self->_ensure_override_tables();
     return 1;
 }
 
 sub upgrade {
     my ( $self, $args ) = @_;
+    $self->_ensure_drawer_events_table();
+    $self->_ensure_override_tables();
     return 1;
 }
 
 sub uninstall {
     my ( $self, $args ) = @_;
+    foreach my $name (qw( drawer_events supervisor_failures no_sale_authorisations )) {
+        my $table = $self->get_qualified_table_name($name);
+        C4::Context->dbh->do("DROP TABLE IF EXISTS `$table`");
+    }
     return 1;
 }
 
@@ -634,14 +1217,30 @@ sub _generate_qz_js {
     # Get current register ID if available
     my $current_register = C4::Context->userenv->{'register_id'} || '';
 
-    # Get debug mode, discovery mode, and auto-submit settings
+    # Get debug mode, discovery mode, auto-submit and receipt settings
     my $debug_mode = $self->retrieve_data('debug_mode') || 0;
     my $discovery_mode = $self->retrieve_data('discovery_mode') || 0;
     my $auto_submit_after_drawer = $self->retrieve_data('auto_submit_after_drawer') || 0;
+    my $receipt_printing = $self->retrieve_data('receipt_printing') || 0;
+    my $queue_drawer_requests = $self->retrieve_data('queue_drawer_requests') ? 'true' : 'false';
     my $availability_timeout_ms = $self->_availability_timeout_ms;
+    my $lock_timeout_ms = $self->_lock_timeout_seconds * 1000;
+
+    # Staff and library names printed on till receipts
+    my $userenv = C4::Context->userenv || {};
+    my $staff_name = join( ' ', grep { defined && length } $userenv->{'firstname'}, $userenv->{'surname'} );
+    my $staff_name_escaped = $self->_escape_js_string($staff_name);
+    my $library_name_escaped = $self->_escape_js_string($userenv->{'branchname'} || '');
 
     # Properly escape JavaScript strings
     my $mappings_json = $self->_escape_js_string(JSON::encode_json($mappings_data));
+    my $drawer_settings_json = $self->_escape_js_string(JSON::encode_json($self->_get_register_drawer_settings()));
+    my $serial_drawers_json = $self->_escape_js_string(JSON::encode_json($self->_get_register_serial_drawers()));
+    my $no_sale_reasons_json = $self->_escape_js_string(JSON::encode_json($self->_get_no_sale_reasons()));
+    my $cash_payment_types_json = $self->_escape_js_string(JSON::encode_json($self->_get_cash_payment_types()));
+    my $page_configs_json = $self->_escape_js_string(JSON::encode_json($self->_get_page_trigger_configs()));
+    my $can_open_no_sale = $self->_can_open_no_sale( $userenv->{'id'} ) ? 'true' : 'false';
+    my $no_sale_supervisor_override = $self->retrieve_data('no_sale_supervisor_override') ? 'true' : 'false';
     my $current_register_escaped = $self->_escape_js_string($current_register);
     my $printer_support_json = $self->_escape_js_string($self->_get_printer_support_mapping_json());
 
@@ -666,23 +1265,42 @@ sub _generate_qz_js {
 window.qzConfig = {
     apiBase: '$api_base',
     registerMappings: JSON.parse('$mappings_json'),
+    registerDrawerSettings: JSON.parse('$drawer_settings_json'),
+    registerSerialDrawers: JSON.parse('$serial_drawers_json'),
     currentRegister: '$current_register_escaped',
     debugMode: $debug_mode,
     discoveryMode: $discovery_mode,
     autoSubmitAfterDrawer: $auto_submit_after_drawer,
+    receiptPrinting: $receipt_printing,
+    queueDrawerRequests: $queue_drawer_requests,
+    noSaleReasons: JSON.parse('$no_sale_reasons_json'),
+    cashPaymentTypes: JSON.parse('$cash_payment_types_json'),
+    pageConfigs: JSON.parse('$page_configs_json'),
+    canOpenNoSale: $can_open_no_sale,
+    noSaleSupervisorOverride: $no_sale_supervisor_override,
+    staffName: '$staff_name_escaped',
+    libraryName: '$library_name_escaped',
     availabilityTimeoutMs: $availability_timeout_ms,
+    lockTimeoutMs: $lock_timeout_ms,
     printerSupport: JSON.parse('$printer_support_json')
 };
 </script>
 
 <!-- QZ Tray Integration Modules (loaded in dependency order) -->
+<script type="text/javascript" src="$static_base/js/qz-events.js$cache_param"></script>
+<script type="text/javascript" src="$static_base/js/qz-tab-coordinator.js$cache_param"></script>
 <script type="text/javascript" src="$static_base/js/qz-transaction-lock.js$cache_param"></script>
 <script type="text/javascript" src="$static_base/js/qz-config.js$cache_param"></script>
 <script type="text/javascript" src="$static_base/js/qz-messaging.js$cache_param"></script>
 <script type="text/javascript" src="$static_base/js/qz-auth.js$cache_param"></script>
 <script type="text/javascript" src="$static_base/js/qz-availability.js$cache_param"></script>
 <script type="text/javascript" src="$static_base/js/qz-printer-picker.js$cache_param"></script>
+<script type="text/javascript" src="$static_base/js/qz-reason-dialog.js$cache_param"></script>
+<script type="text/javascript" src="$static_base/js/qz-supervisor-override.js$cache_param"></script>
+<script type="text/javascript" src="$static_base/js/qz-network-printer.js$cache_param"></script>
+<script type="text/javascript" src="$static_base/js/qz-command-set.js$cache_param"></script>
 <script type="text/javascript" src="$static_base/js/qz-drawer.js$cache_param"></script>
+<script type="text/javascript" src="$static_base/js/qz-receipt.js$cache_param"></script>
 <script type="text/javascript" src="$static_base/js/qz-page-detector.js$cache_param"></script>
 <script type="text/javascript" src="$static_base/js/qz-button-manager.js$cache_param"></script>
 <script type="text/javascript" src="$static_base/js/qz-pos-toolbar.js$cache_param"></script>
@@ -1168,10 +1786,12 @@ Log discovered printers for a branch+register combination (only when debug mode
         register_id => '1',
         register_name => 'Register 1',
         printers => ['Epson TM-T88V', 'HP LaserJet'],
+        serial_ports => ['COM1'],
         page_url => '/pos/pay.pl'
     });
 
 Stores data in a nested structure: branch -> register -> printer with per-printer timestamps.
+Serial ports are kept the same way under the register's C<serial_ports>.
 
 =cut
 
@@ -1215,18 +1835,20 @@ sub _log_printer_discovery {
             $discovery_data->{register_name};
     }
 
-    # Update printer timestamps
+    # Update printer and serial port timestamps
     my $register_data = $printer_discovery->{$branch_code}->{registers}->{$register_id};
-    foreach my $printer (@{$discovery_data->{printers} || []}) {
-        if (!exists $register_data->{printers}->{$printer}) {
-            # New printer - set first_seen
-            $register_data->{printers}->{$printer} = {
-                first_seen => $current_time,
-                last_seen => $current_time
-            };
-        } else {
-            # Existing printer - update last_seen
-            $register_data->{printers}->{$printer}->{last_seen} = $current_time;
+    foreach my $type (qw(printers serial_ports)) {
+        foreach my $name (@{$discovery_data->{$type} || []}) {
+            if (!exists $register_data->{$type}->{$name}) {
+                # New device - set first_seen
+                $register_data->{$type}->{$name} = {
+                    first_seen => $current_time,
+                    last_seen => $current_time
+                };
+            } else {
+                # Existing device - update last_seen
+                $register_data->{$type}->{$name}->{last_seen} = $current_time;
+            }
         }
     }
 
@@ -1309,6 +1931,28 @@ sub _availability_timeout_ms {
     return $value;
 }
 
+=head3 _lock_timeout_seconds
+
+Return the configured time a drawer or transaction lock may be held, in
+seconds, clamped to a sane range. Falls back to the default when unset or
+invalid.
+
+    my $seconds = $self->_lock_timeout_seconds;
+
+=cut
+
+sub _lock_timeout_seconds {
+    my ($self) = @_;
+
+    my $value = $self->retrieve_data('lock_timeout_seconds');
+    return LOCK_TIMEOUT_DEFAULT
+        unless defined $value && $value =~ /^\d+$/;
+
+    $value = LOCK_TIMEOUT_MIN if $value < LOCK_TIMEOUT_MIN;
+    $value = LOCK_TIMEOUT_MAX if $value > LOCK_TIMEOUT_MAX;
+    return $value;
+}
+
 =head3 _log_connection_failure
 
 Log a QZ Tray connection/availability probe failure for a branch+register
@@ -1326,6 +1970,8 @@ outages (e.g. a network filter blocking the local QZ Tray socket).
         error_name     => 'Error',
         timeout_ms     => 1500,
         secure_context => 1,
+        connection     => 'wss://localhost:8181',
+        connection_method => 'remembered, then probe',
         user_agent     => 'Mozilla/5.0 ...',
         page_url       => '/pos/pay.pl'
     });
@@ -1390,6 +2036,8 @@ sub _log_connection_failure {
     $cat->{error_name}     = $failure_data->{error_name};
     $cat->{timeout_ms}     = $failure_data->{timeout_ms};
     $cat->{secure_context} = $failure_data->{secure_context};
+    $cat->{connection}     = $failure_data->{connection};
+    $cat->{connection_method} = $failure_data->{connection_method};
     $cat->{printer}        = $failure_data->{printer};
     $cat->{user_agent}     = $failure_data->{user_agent};
     $cat->{page_url}       = $failure_data->{page_url};
@@ -1453,141 +2101,1414 @@ sub _set_register_printer_mapping {
     return $clean;
 }
 
-=head3 _get_connection_failures
+=head3 _get_register_drawer_settings
 
-Retrieve connection failure data for display in the configuration UI.
+Retrieve the per-register cash drawer overrides, keyed by register id. Each
+entry may hold C<pin> (2 or 5) and C<pulse_on>/C<pulse_off> in milliseconds;
+QZDrawer.getDrawerCode builds the C<ESC p m t1 t2> command from them.
 
-    my $failures = $self->_get_connection_failures();
+    my $settings = $self->_get_register_drawer_settings();
+    # { 3 => { pin => 5, pulse_on => 100, pulse_off => 250 } }
 
-Returns nested hash reference: branch_code -> registers -> register_id -> failure details.
+=cut
+
+sub _get_register_drawer_settings {
+    my ($self) = @_;
+
+    my $settings_json = $self->retrieve_data('register_drawer_settings') || '{}';
+    my $settings = {};
+    eval { $settings = decode_json($settings_json); };
+    return ref($settings) eq 'HASH' ? $settings : {};
+}
+
+=head3 _get_register_serial_drawers
+
+Retrieve the serial-port cash drawers, keyed by register id. Registers listed
+here open their drawer by sending C<bytes> to the serial C<port> through QZ
+Tray rather than through a receipt printer.
+
+    my $serial = $self->_get_register_serial_drawers();
+    # { 3 => { port => 'COM1', baud_rate => 9600, bytes => [7] } }
 
 =cut
 
-sub _get_connection_failures {
+sub _get_register_serial_drawers {
     my ($self) = @_;
 
-    my $failures_json = $self->retrieve_data('connection_failures') || '{}';
-    my $failures = {};
-    eval { $failures = decode_json($failures_json); };
+    my $serial_json = $self->retrieve_data('register_serial_drawers') || '{}';
+    my $serial = {};
+    eval { $serial = decode_json($serial_json); };
+    return ref($serial) eq 'HASH' ? $serial : {};
+}
 
-    # If decode failed, return empty hash
-    $failures = {} unless ref($failures) eq 'HASH';
+=head3 _get_no_sale_reasons
 
-    return $failures;
+Retrieve the no-sale reasons offered before the POS toolbar opens the drawer,
+falling back to the defaults until an admin has saved a list. An empty list
+leaves only "Other", which the client always adds.
+
+    my $reasons = $self->_get_no_sale_reasons();
+    # ['Making change', 'Float check', 'Error correction']
+
+=cut
+
+sub _get_no_sale_reasons {
+    my ($self) = @_;
+
+    my $reasons_json = $self->retrieve_data('no_sale_reasons');
+    return [@DEFAULT_NO_SALE_REASONS] unless defined $reasons_json;
+
+    my $reasons = [];
+    eval { $reasons = decode_json($reasons_json); };
+    return ref($reasons) eq 'ARRAY' ? $reasons : [@DEFAULT_NO_SALE_REASONS];
 }
 
-=head3 _clear_connection_failures
+=head3 _get_cash_payment_types
 
-Clear all stored connection failure diagnostics.
+Retrieve the PAYMENT_TYPE authorised values that open the drawer on payment
+pages, falling back to the defaults until an admin has saved a list. An empty
+list opens the drawer for every payment type.
 
-    $self->_clear_connection_failures();
+    my $types = $self->_get_cash_payment_types();
+    # ['CASH']
 
 =cut
 
-sub _clear_connection_failures {
+sub _get_cash_payment_types {
     my ($self) = @_;
 
-    $self->store_data({
-        connection_failures => '{}'
-    });
+    my $types_json = $self->retrieve_data('cash_payment_types');
+    return [@DEFAULT_CASH_PAYMENT_TYPES] unless defined $types_json;
 
-    $self->_log_event('info', 'Connection failure data cleared', {
-        action => 'clear_connection_failures'
-    });
+    my $types = [];
+    eval { $types = decode_json($types_json); };
+    return ref($types) eq 'ARRAY' ? $types : [@DEFAULT_CASH_PAYMENT_TYPES];
 }
 
-=head3 _get_printer_drawer_code
+=head3 _get_page_trigger_configs
 
-Get the drawer control code for a printer (case-insensitive matching)
+Retrieve the page triggers: which Koha buttons on which pages are replaced with
+drawer-opening versions. Until an admin changes the list (or after they restore
+the defaults) the shipped defaults are used.
 
-    my $drawer_code_info = $self->_get_printer_drawer_code($printer_name);
-    # Returns: { code => 'ESC_p_0_55_y', bytes => [27, 112, 48, 55, 121], description => '...' }
-    # Returns undef if printer not supported
+    my $configs = $self->_get_page_trigger_configs();
+    # [{ urlPattern => 'pos/pay.pl', selector => '#submitbutton', ... }, ...]
 
 =cut
 
-sub _get_printer_drawer_code {
-    my ($self, $printer_name) = @_;
+sub _get_page_trigger_configs {
+    my ($self) = @_;
 
-    return unless defined $printer_name && length($printer_name) > 0;
+    my $configs_json = $self->retrieve_data('page_trigger_configs');
+    return [@DEFAULT_PAGE_TRIGGER_CONFIGS] unless defined $configs_json && length $configs_json;
+
+    my $configs = [];
+    eval { $configs = decode_json($configs_json); };
+    return ref($configs) eq 'ARRAY' ? $configs : [@DEFAULT_PAGE_TRIGGER_CONFIGS];
+}
+
+=head3 _parse_page_trigger_configs
+
+Read the page trigger rows submitted from the configuration page. Returns the
+triggers and a list of errors; blank rows are dropped.
+
+    my ( $configs, $errors ) = $self->_parse_page_trigger_configs($cgi);
+
+=cut
 
-    # Case-insensitive matching against supported printer patterns
-    my $printer_lower = lc($printer_name);
+sub _parse_page_trigger_configs {
+    my ( $self, $cgi ) = @_;
+
+    my @url_patterns      = $cgi->multi_param('trigger_url_pattern');
+    my @selectors         = $cgi->multi_param('trigger_selector');
+    my @drawer_texts      = $cgi->multi_param('trigger_drawer_button_text');
+    my @original_texts    = $cgi->multi_param('trigger_original_button_text');
+    my @descriptions      = $cgi->multi_param('trigger_description');
+    my @flags             = $cgi->multi_param('trigger_flag');
+    my @payment_selectors = $cgi->multi_param('trigger_payment_type_selector');
+    my @anchor_selectors  = $cgi->multi_param('trigger_anchor_selector');
+    my @conditions        = $cgi->multi_param('trigger_conditions');
+
+    my %known_flag = map { $_ => 1 } @PAGE_TRIGGER_FLAGS;
+    my @configs;
+    my @errors;
+    my %seen;
+    for my $i ( 0 .. $#url_patterns ) {
+        # Only control characters are stripped: selectors need their quotes
+        my ( $url_pattern, $selector, $drawer_text, $original_text, $description, $payment_selector, $anchor_selector ) =
+            map { substr( s/^\s+|\s+$//gr, 0, 255 ) }
+            map { ( $_ // '' ) =~ s/[\x00-\x1F\x7F]//gr }
+            ( $url_patterns[$i], $selectors[$i], $drawer_texts[$i], $original_texts[$i],
+              $descriptions[$i], $payment_selectors[$i], $anchor_selectors[$i] );
+        my $conditions_json = $conditions[$i] // '';
+        next unless length $url_pattern || length $selector;
+
+        my $label = length $description ? $description : ( length $selector ? $selector : $url_pattern );
+        unless ( $url_pattern =~ m{^[\w/-]+\.pl$} ) {
+            push @errors, "Page trigger '$label': the page must be a Koha script path such as 'pos/pay.pl'";
+            next;
+        }
+        unless ( length $selector ) {
+            push @errors, "Page trigger '$label': a button selector is required";
+            next;
+        }
+        if ( $seen{"$url_pattern $selector"}++ ) {
+            push @errors, "Page trigger '$label' is listed more than once for $url_pattern";
+            next;
+        }
 
-    foreach my $pattern (keys %$PRINTER_DRAWER_CODES) {
-        my $pattern_lower = lc($pattern);
-        if (index($printer_lower, $pattern_lower) != -1) {
-            return $PRINTER_DRAWER_CODES->{$pattern};
+        my $config = {
+            urlPattern         => $url_pattern,
+            selector           => $selector,
+            drawerButtonText   => length $drawer_text ? $drawer_text : 'Confirm',
+            originalButtonText => length $original_text ? $original_text : ( length $drawer_text ? $drawer_text : 'Confirm' ),
+            description        => length $description ? $description : $selector,
+        };
+        my $flag = $flags[$i] // '';
+        $config->{$flag} = 1 if $known_flag{$flag};
+        $config->{paymentTypeSelector} = $payment_selector if length $payment_selector;
+        $config->{anchorSelector}      = $anchor_selector if length $anchor_selector;
+
+        if ( $conditions_json =~ /\S/ ) {
+            my ( $parsed, $error ) = $self->_parse_trigger_conditions($conditions_json);
+            unless ($parsed) {
+                push @errors, "Page trigger '$label': $error";
+                next;
+            }
+            $config->{conditions} = $parsed if @$parsed;
         }
+
+        push @configs, $config;
     }
 
-    return; # Not supported
+    return ( \@configs, \@errors );
 }
 
-=head3 _is_supported_printer
+=head3 _parse_trigger_conditions
 
-Check if a printer is supported (case-insensitive matching)
+Parse a page trigger's conditions from JSON: a list of rules, each with a
+C<field> selector and one known test. Returns the rules, or undef and an error.
 
-    my $is_supported = $self->_is_supported_printer($printer_name);
+    my ( $conditions, $error ) =
+        $self->_parse_trigger_conditions('[{"field":"#collected","greaterThanZero":true}]');
+
+=cut
+
+sub _parse_trigger_conditions {
+    my ( $self, $json ) = @_;
+
+    my $conditions;
+    eval { $conditions = decode_json($json); };
+    return ( undef, 'conditions must be a JSON list of rules' )
+        unless ref($conditions) eq 'ARRAY';
+
+    my %known_test = map { $_ => 1 } @PAGE_TRIGGER_CONDITION_TESTS;
+    for my $condition (@$conditions) {
+        return ( undef, 'each condition must be a JSON object' )
+            unless ref($condition) eq 'HASH';
+        return ( undef, 'each condition needs a "field" selector' )
+            unless defined $condition->{field} && !ref $condition->{field} && length $condition->{field};
+
+        my @tests = grep { $known_test{$_} } keys %$condition;
+        return ( undef, "condition on '$condition->{field}' needs exactly one of: "
+                . join( ', ', @PAGE_TRIGGER_CONDITION_TESTS ) )
+            unless @tests == 1 && keys(%$condition) == 2;
+    }
+
+    return ($conditions);
+}
 
-Returns true if the printer has a specific drawer code defined, false otherwise.
+=head3 _get_payment_types
+
+List Koha's PAYMENT_TYPE authorised values for the configuration page, each
+marked with whether it opens the drawer.
+
+    my $types = $self->_get_payment_types();
+    # [{ code => 'CASH', description => 'Cash', cash => 1 }, ...]
 
 =cut
 
-sub _is_supported_printer {
-    my ($self, $printer_name) = @_;
+sub _get_payment_types {
+    my ($self) = @_;
 
-    return 0 unless defined $printer_name && length($printer_name) > 0;
+    my %cash = map { $_ => 1 } @{ $self->_get_cash_payment_types() };
 
-    # Use the drawer code lookup - if we get a code, it's supported
-    return defined $self->_get_printer_drawer_code($printer_name);
+    my @types;
+    my $values = Koha::AuthorisedValues->search(
+        { category => 'PAYMENT_TYPE' },
+        { order_by => [ { '-asc' => 'lib' } ] }
+    );
+    while ( my $value = $values->next ) {
+        push @types, {
+            code        => $value->authorised_value,
+            description => $value->lib || $value->authorised_value,
+            cash        => $cash{ $value->authorised_value } ? 1 : 0,
+        };
+    }
+
+    return \@types;
 }
 
-=head3 _get_supported_printer_patterns
+=head3 _is_known_permission
 
-Get list of all supported printer patterns
+Check a "module" or "module:subpermission" string names a permission that
+exists in this Koha's userflags and permissions tables.
 
-    my @patterns = $self->_get_supported_printer_patterns();
+    $self->_is_known_permission('cash_management:cashup');   # 1
 
-Returns array of printer name patterns that are supported.
+=cut
+
+sub _is_known_permission {
+    my ( $self, $permission ) = @_;
+
+    my ( $module, $subpermission ) = ( $permission // '' ) =~ $NO_SALE_PERMISSION_PATTERN
+        or return 0;
+
+    my $dbh = C4::Context->dbh;
+    my ($module_bit) = $dbh->selectrow_array(
+        'SELECT bit FROM userflags WHERE flag = ?', undef, $module );
+    return 0 unless defined $module_bit;
+    return 1 unless defined $subpermission;
+
+    my ($found) = $dbh->selectrow_array(
+        'SELECT 1 FROM permissions WHERE module_bit = ? AND code = ?',
+        undef, $module_bit, $subpermission );
+    return $found ? 1 : 0;
+}
+
+=head3 _can_open_no_sale
+
+Check whether a staff member may open the cash drawer without a transaction.
+Everyone may when no permission is configured; otherwise the user needs the
+configured permission (superlibrarians always have it).
+
+    my $allowed = $self->_can_open_no_sale( C4::Context->userenv->{id} );
 
 =cut
 
-sub _get_supported_printer_patterns {
+sub _can_open_no_sale {
+    my ( $self, $userid ) = @_;
+
+    my $permission = $self->retrieve_data('no_sale_permission') // '';
+    return 1 unless length $permission;
+    return 0 unless defined $userid && length $userid;
+
+    my ( $module, $subpermission ) = $permission =~ $NO_SALE_PERMISSION_PATTERN
+        or return 0;
+
+    return haspermission( $userid, { $module => $subpermission // 1 } ) ? 1 : 0;
+}
+
+=head3 _get_supervisor_pins
+
+Retrieve the hashed supervisor override PINs, keyed by borrowernumber.
+
+    my $pins = $self->_get_supervisor_pins();
+    # { 51 => { hash => '$2a$08$...' } }
+
+=cut
+
+sub _get_supervisor_pins {
     my ($self) = @_;
-    return sort keys %$PRINTER_DRAWER_CODES;
+
+    my $pins_json = $self->retrieve_data('supervisor_pins') || '{}';
+    my $pins = {};
+    eval { $pins = decode_json($pins_json); };
+    return ref($pins) eq 'HASH' ? $pins : {};
 }
 
-=head3 _get_printer_support_mapping_json
+=head3 _ensure_override_tables
 
-Get the printer support mapping as JSON for JavaScript
+Create the tables behind supervisor overrides: failed attempts per supervisor,
+and outstanding no-sale authorisation tokens. They are kept in tables rather
+than plugin data so they can be updated atomically. Called from install and
+upgrade, and once per process before the tables are first used.
 
-    my $json = $self->_get_printer_support_mapping_json();
+    $self->_ensure_override_tables();
 
-Returns JSON string with printer patterns and their drawer codes.
+=cut
+
+my $override_tables_ready = 0;
+
+sub _ensure_override_tables {
+    my ($self) = @_;
+
+    my $dbh = C4::Context->dbh;
+
+    my $failures_table = $self->get_qualified_table_name('supervisor_failures');
+    $dbh->do(qq{
+        CREATE TABLE IF NOT EXISTS `$failures_table` (
+    `borrowernumber` INT(11) NOT NULL,
+    `failures` INT(11) NOT NULL DEFAULT 0,
+    PRIMARY KEY (`borrowernumber`)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    });
+
+    my $authorisations_table = $self->get_qualified_table_name('no_sale_authorisations');
+    $dbh->do(qq{
+        CREATE TABLE IF NOT EXISTS `$authorisations_table` (
+    `token` VARCHAR(64) NOT NULL,
+    `requested_by` INT(11) DEFAULT NULL,
+    `authorised_by` INT(11) NOT NULL,
+    `expires` INT(11) UNSIGNED NOT NULL,
+    `redeemed` INT(11) UNSIGNED DEFAULT NULL,
+    PRIMARY KEY (`token`),
+    KEY `expires_idx` (`expires`)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    });
+
+    $override_tables_ready = 1;
+    return 1;
+}
+
+=head3 _get_supervisor_failures
+
+Retrieve the number of override attempts each supervisor has made since they
+last authorised one, keyed by borrowernumber.
+
+    my $failures = $self->_get_supervisor_failures();
+    # { 51 => 2 }
 
 =cut
 
-sub _get_printer_support_mapping_json {
+sub _get_supervisor_failures {
     my ($self) = @_;
 
-    # Convert the mapping to a JavaScript-friendly format
-    my %js_mapping;
-    foreach my $pattern (keys %$PRINTER_DRAWER_CODES) {
-        my $code_info = $PRINTER_DRAWER_CODES->{$pattern};
-        $js_mapping{$pattern} = {
-            bytes => $code_info->{bytes},
-            description => $code_info->{description}
-        };
-    }
+    $self->_ensure_override_tables() unless $override_tables_ready;
 
-    # Add default code
-    $js_mapping{'_default'} = {
-        bytes => $DEFAULT_DRAWER_CODE->{bytes},
-        description => $DEFAULT_DRAWER_CODE->{description}
-    };
+    my $table = $self->get_qualified_table_name('supervisor_failures');
+    my $rows  = C4::Context->dbh->selectall_arrayref("SELECT borrowernumber, failures FROM `$table`");
+    return { map { $_->[0] => $_->[1] } @$rows };
+}
+
+=head3 _clear_supervisor_failures
+
+Reset the failed override attempts of one or more supervisors, unlocking them.
+
+    $self->_clear_supervisor_failures( 51, 52 );
+
+=cut
+
+sub _clear_supervisor_failures {
+    my ( $self, @borrowernumbers ) = @_;
+
+    return unless @borrowernumbers;
+    $self->_ensure_override_tables() unless $override_tables_ready;
+
+    my $table = $self->get_qualified_table_name('supervisor_failures');
+    C4::Context->dbh->do(
+        "DELETE FROM `$table` WHERE borrowernumber IN (" . join( ', ', ('?') x @borrowernumbers ) . ')',
+        undef, @borrowernumbers
+    );
+    return;
+}
+
+=head3 _verify_supervisor
+
+Check a supervisor's credentials for a no-sale override. The secret is the
+supervisor's override PIN if they have one and it looks like a PIN, and
+otherwise their Koha password. After SUPERVISOR_MAX_FAILURES failed attempts
+the supervisor can't authorise overrides at all, by PIN or password, until an
+admin unlocks them or sets their PIN again. Each attempt is counted before the
+credentials are checked, with a single atomic update, so simultaneous attempts
+can't get past the limit between them.
 
-    return JSON::encode_json(\%js_mapping);
+    my $patron = $self->_verify_supervisor( 'jsmith', '4821' );
+
+Returns the supervisor's Koha::Patron, or undef if the credentials are wrong
+or the supervisor is locked.
+
+=cut
+
+sub _verify_supervisor {
+    my ( $self, $userid, $secret ) = @_;
+
+    return unless defined $userid && length $userid && defined $secret && length $secret;
+
+    my $patron = Koha::Patrons->find( { userid => $userid } ) or return;
+    my $borrowernumber = $patron->borrowernumber;
+
+    $self->_ensure_override_tables() unless $override_tables_ready;
+
+    my $dbh   = C4::Context->dbh;
+    my $table = $self->get_qualified_table_name('supervisor_failures');
+    $dbh->do(
+        "INSERT INTO `$table` (borrowernumber, failures) VALUES (?, 1)
+         ON DUPLICATE KEY UPDATE failures = failures + 1",
+        undef, $borrowernumber
+    );
+    my ($attempts) = $dbh->selectrow_array( "SELECT failures FROM `$table` WHERE borrowernumber = ?", undef, $borrowernumber );
+    if ( ( $attempts || 0 ) > SUPERVISOR_MAX_FAILURES ) {
+        $self->_log_event('warn', 'Supervisor override refused: too many failed attempts', {
+            action => 'supervisor_locked',
+            supervisor => $userid,
+        });
+        return;
+    }
+
+    my $pin = $self->_get_supervisor_pins()->{$borrowernumber};
+    my $verified;
+    if ( $pin && $secret =~ /^\d{4,8}$/ ) {
+        $verified = checkpw_hash( $secret, $pin->{hash} );
+    } else {
+        # Try it as the supervisor's password, without touching the
+        # logged-in user's session
+        my ($password_ok) = checkpw( $userid, $secret, undef, undef, 1 );
+        $verified = $password_ok && $password_ok > 0;
+    }
+
+    # A failed attempt stays counted
+    return unless $verified;
+
+    $self->_clear_supervisor_failures($borrowernumber);
+    return $patron;
+}
+
+=head3 _create_no_sale_authorisation
+
+Issue a single-use token recording that a supervisor authorised a no-sale
+opening for another staff member. The token is redeemed just before the drawer
+opens, and expires after NO_SALE_AUTHORISATION_TTL seconds if it isn't.
+
+    my $token = $self->_create_no_sale_authorisation( $requested_by, $authorised_by );
+
+=cut
+
+sub _create_no_sale_authorisation {
+    my ( $self, $requested_by, $authorised_by ) = @_;
+
+    $self->_ensure_override_tables() unless $override_tables_ready;
+
+    my $dbh   = C4::Context->dbh;
+    my $table = $self->get_qualified_table_name('no_sale_authorisations');
+    my $now   = time;
+    $dbh->do( "DELETE FROM `$table` WHERE expires < ?", undef, $now );
+
+    my $token = unpack( 'H*', Koha::AuthUtils::generate_salt( 'weak', 16 ) );
+    $dbh->do(
+        "INSERT INTO `$table` (token, requested_by, authorised_by, expires) VALUES (?, ?, ?, ?)",
+        undef, $token, $requested_by, $authorised_by, $now + NO_SALE_AUTHORISATION_TTL
+    );
+
+    return $token;
+}
+
+=head3 _redeem_no_sale_authorisation
+
+Use up a no-sale authorisation token just before the drawer opens. It must
+have been issued to the same staff member, not have expired and not have been
+redeemed already. A redeemed token is kept for NO_SALE_RECORDING_TTL seconds
+so the drawer event can be recorded against it with
+L</_take_no_sale_authorisation>. The token is marked redeemed by a single
+conditional update, so only one request can redeem it.
+
+    my $authorised_by = $self->_redeem_no_sale_authorisation( $token, $borrowernumber );
+
+Returns the authorising supervisor's borrowernumber, or undef.
+
+=cut
+
+sub _redeem_no_sale_authorisation {
+    my ( $self, $token, $requested_by ) = @_;
+
+    return unless defined $token && length $token && defined $requested_by;
+
+    $self->_ensure_override_tables() unless $override_tables_ready;
+
+    my $dbh   = C4::Context->dbh;
+    my $table = $self->get_qualified_table_name('no_sale_authorisations');
+    my $now   = time;
+    my $redeemed = $dbh->do(
+        "UPDATE `$table` SET redeemed = ?, expires = ?
+          WHERE token = ? AND requested_by = ? AND redeemed IS NULL AND expires >= ?",
+        undef, $now, $now + NO_SALE_RECORDING_TTL, $token, $requested_by, $now
+    );
+    return unless $redeemed && $redeemed == 1;
+
+    my ($authorised_by) = $dbh->selectrow_array( "SELECT authorised_by FROM `$table` WHERE token = ?", undef, $token );
+    return $authorised_by;
+}
+
+=head3 _take_no_sale_authorisation
+
+Remove a redeemed no-sale authorisation as its drawer event is recorded. Only
+the request whose delete removes the row gets the supervisor back, so a token
+can't be recorded against two events.
+
+    my $authorised_by = $self->_take_no_sale_authorisation( $token, $borrowernumber );
+
+Returns the authorising supervisor's borrowernumber, or undef if the token
+wasn't redeemed by the same staff member.
+
+=cut
+
+sub _take_no_sale_authorisation {
+    my ( $self, $token, $requested_by ) = @_;
+
+    return unless defined $token && length $token && defined $requested_by;
+
+    $self->_ensure_override_tables() unless $override_tables_ready;
+
+    my $dbh   = C4::Context->dbh;
+    my $table = $self->get_qualified_table_name('no_sale_authorisations');
+    my $now   = time;
+    my ($authorised_by) = $dbh->selectrow_array(
+        "SELECT authorised_by FROM `$table`
+          WHERE token = ? AND requested_by = ? AND redeemed IS NOT NULL AND expires >= ?",
+        undef, $token, $requested_by, $now
+    );
+    return unless defined $authorised_by;
+
+    my $taken = $dbh->do( "DELETE FROM `$table` WHERE token = ? AND redeemed IS NOT NULL", undef, $token );
+    return unless $taken && $taken == 1;
+
+    return $authorised_by;
+}
+
+=head3 _ensure_drawer_events_table
+
+Create the drawer_events audit table, or add any columns an older version of
+the plugin didn't have. Called from install and upgrade, and once per process
+before the table is first used so installs that haven't been upgraded yet
+still record events.
+
+    $self->_ensure_drawer_events_table();
+
+=cut
+
+my $drawer_events_table_ready = 0;
+
+sub _ensure_drawer_events_table {
+    my ($self) = @_;
+
+    my $dbh   = C4::Context->dbh;
+    my $table = $self->get_qualified_table_name('drawer_events');
+
+    my $columns = join( ",\n    ", map { "`$_->[0]` $_->[1]" } @DRAWER_EVENT_COLUMNS );
+    $dbh->do(qq{
+        CREATE TABLE IF NOT EXISTS `$table` (
+    $columns,
+    PRIMARY KEY (`id`),
+    KEY `created_on_idx` (`created_on`),
+    KEY `register_idx` (`register_id`, `created_on`)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    });
+
+    my %existing = map { lc($_->[0]) => 1 }
+        @{ $dbh->selectall_arrayref("SHOW COLUMNS FROM `$table`") };
+
+    my $previous = 'id';
+    foreach my $column (@DRAWER_EVENT_COLUMNS) {
+        my ($name, $definition) = @$column;
+        unless ($existing{ lc $name }) {
+            $dbh->do("ALTER TABLE `$table` ADD COLUMN `$name` $definition AFTER `$previous`");
+        }
+        $previous = $name;
+    }
+
+    $drawer_events_table_ready = 1;
+    return 1;
+}
+
+=head3 _log_drawer_event
+
+Record a cash drawer opening attempt in the drawer_events audit table. Unlike
+the discovery and diagnostics stores this is always recorded, whatever the
+debug or discovery settings.
+
+    my $event_id = $self->_log_drawer_event({
+        outcome             => 'success',       # success, failure, cancelled, abandoned or unauthorised
+        borrowernumber      => 51,
+        register_id         => 3,
+        branchcode          => 'CPL',
+        printer             => 'EPSON TM-T88V',
+        trigger_description => 'POS Payment Confirmation',
+        page_url            => '/cgi-bin/koha/pos/pay.pl',
+        error_message       => '',
+        event_type          => 'transaction',   # or 'no_sale'
+        reason              => undef,           # no-sale reason, or why a payment was abandoned
+        note                => undef,           # no-sale details
+        authorised_by       => undef,           # supervisor who overrode a no-sale
+        transaction_token   => undef,           # ties an opening to its abandoned payment
+    });
+
+Returns the id of the new row.
+
+=cut
+
+sub _log_drawer_event {
+    my ($self, $event) = @_;
+
+    $self->_ensure_drawer_events_table() unless $drawer_events_table_ready;
+
+    my $dbh   = C4::Context->dbh;
+    my $table = $self->get_qualified_table_name('drawer_events');
+
+    my @fields = grep { $_ ne 'id' && $_ ne 'created_on' && exists $event->{$_} }
+        map { $_->[0] } @DRAWER_EVENT_COLUMNS;
+
+    $dbh->do(
+        "INSERT INTO `$table` (" . join( ', ', map { "`$_`" } @fields ) . ')'
+            . ' VALUES (' . join( ', ', ('?') x @fields ) . ')',
+        undef,
+        map { $event->{$_} } @fields
+    );
+    my $event_id = $dbh->last_insert_id( undef, undef, $table, 'id' );
+
+    $self->_log_event( $event->{outcome} =~ /^(?:failure|unauthorised)$/ ? 'warn' : 'info', 'Cash drawer opening recorded', {
+        action      => 'drawer_event',
+        event_id    => $event_id,
+        outcome     => $event->{outcome},
+        register_id => $event->{register_id},
+        printer     => $event->{printer},
+        trigger     => $event->{trigger_description},
+    });
+
+    return $event_id;
+}
+
+=head3 _no_sale_alert_threshold
+
+Number of no-sales a register may record in a day before the reconciliation
+report flags the day.
+
+    my $threshold = $self->_no_sale_alert_threshold;
+
+=cut
+
+sub _no_sale_alert_threshold {
+    my ($self) = @_;
+
+    my $value = $self->retrieve_data('no_sale_alert_threshold');
+    return ( defined $value && $value =~ /^\d+$/ ) ? $value : NO_SALE_ALERT_THRESHOLD_DEFAULT;
+}
+
+=head3 _get_drawer_reconciliation
+
+Reconcile the drawer audit log against Koha's account lines and cash register
+actions. Each successful drawer opening for a transaction is matched to a
+payment, refund or payout (account line) or cashup (cash register action)
+committed by the same staff member on the same register within
+RECONCILIATION_MATCH_WINDOW seconds; each Koha entry matches one opening at
+most. Openings left unmatched were made without a committed transaction, and
+are marked abandoned when the browser reported leaving their payment
+uncommitted.
+
+    my $reconciliation = $self->_get_drawer_reconciliation({
+        from        => $from_dt,    # DateTime, inclusive
+        to          => $to_dt,      # DateTime, inclusive
+        register_id => 3,           # optional
+    });
+
+Returns a hashref with:
+
+    days             => per register and day: drawer opens, matched and
+                        unmatched transaction opens, abandoned payments,
+                        no-sales, failed or cancelled attempts, Koha payments
+                        and cashups, and flags (unmatched_flag, no_sale_flag)
+    unmatched_events => transaction openings with no matching Koha entry,
+                        with abandoned_reason set for abandoned payments
+    no_sale_events   => no-sale openings, with reason and authorising supervisor
+
+=cut
+
+sub _get_drawer_reconciliation {
+    my ( $self, $params ) = @_;
+
+    $self->_ensure_drawer_events_table() unless $drawer_events_table_ready;
+
+    my $dbh   = C4::Context->dbh;
+    my $table = $self->get_qualified_table_name('drawer_events');
+
+    my $end_day = $params->{to}->clone->add( days => 1 )->ymd;
+    my $from    = $params->{from}->ymd . ' 00:00:00';
+    my $to      = $end_day . ' 00:00:00';
+    my $register_id = $params->{register_id};
+    my $threshold   = $self->_no_sale_alert_threshold;
+
+    my $register_filter = length( $register_id // '' ) ? ' AND register_id = ?' : '';
+    my @register_bind   = length( $register_id // '' ) ? ($register_id) : ();
+
+    my $events = $dbh->selectall_arrayref(
+        "SELECT *, UNIX_TIMESTAMP(created_on) AS epoch, DATE(created_on) AS day
+           FROM `$table`
+          WHERE created_on >= ? AND created_on < ?$register_filter
+          ORDER BY created_on, id",
+        { Slice => {} }, $from, $to, @register_bind
+    );
+
+    # Koha entries that can account for a drawer opening: payments, refunds
+    # and payouts taken through a register or with a payment type (write-offs,
+    # discounts and other adjustments move no cash), and cash register actions
+    # such as cashups. Entries just after the range can still match its last
+    # openings.
+    my $koha_entries = $dbh->selectall_arrayref(
+        "SELECT 'accountline' AS source, register_id, manager_id,
+                UNIX_TIMESTAMP(date) AS epoch, DATE(date) AS day
+           FROM accountlines
+          WHERE date >= ? AND date < DATE_ADD(?, INTERVAL ? SECOND)
+            AND (credit_type_code IN ('PAYMENT', 'REFUND') OR debit_type_code = 'PAYOUT')
+            AND (register_id IS NOT NULL OR payment_type IS NOT NULL)$register_filter
+         UNION ALL
+         SELECT 'cash_register_action' AS source, register_id, manager_id,
+                UNIX_TIMESTAMP(timestamp) AS epoch, DATE(timestamp) AS day
+           FROM cash_register_actions
+          WHERE timestamp >= ? AND timestamp < DATE_ADD(?, INTERVAL ? SECOND)$register_filter
+          ORDER BY epoch",
+        { Slice => {} },
+        $from, $to, RECONCILIATION_MATCH_WINDOW, @register_bind,
+        $from, $to, RECONCILIATION_MATCH_WINDOW, @register_bind
+    );
+
+    my %registers = map { $_->id => $_ } Koha::Cash::Registers->search->as_list;
+    my %staff;
+    my $staff_name = sub {
+        my ($borrowernumber) = @_;
+        return '' unless $borrowernumber;
+        $staff{$borrowernumber} //= do {
+            my $patron = Koha::Patrons->find($borrowernumber);
+            $patron ? join( ' ', grep { defined && length } $patron->firstname, $patron->surname ) : "#$borrowernumber";
+        };
+    };
+
+    my %days;
+    my $day_row = sub {
+        my ( $day, $register ) = @_;
+        my $key = $day . '|' . ( $register // '' );
+        $days{$key} //= {
+            day           => $day,
+            register_id   => $register,
+            register_name => ( defined $register && $registers{$register} ) ? $registers{$register}->name : '',
+            branchcode    => ( defined $register && $registers{$register} ) ? $registers{$register}->branch : '',
+            ( map { $_ => 0 } qw(opens matched unmatched abandoned no_sales failed payments cashups) ),
+        };
+    };
+
+    foreach my $entry (@$koha_entries) {
+        next unless defined $entry->{register_id};
+        next if $entry->{day} ge $end_day;
+        my $row = $day_row->( $entry->{day}, $entry->{register_id} );
+        $row->{ $entry->{source} eq 'accountline' ? 'payments' : 'cashups' }++;
+    }
+
+    # Why each abandoned payment was left, by the token of its drawer opening
+    my %abandoned = map { $_->{transaction_token} => $_->{reason} || 'unknown' }
+        grep { $_->{outcome} eq 'abandoned' && defined $_->{transaction_token} } @$events;
+
+    my ( @unmatched_events, @no_sale_events );
+    foreach my $event (@$events) {
+        my $row = $day_row->( $event->{day}, $event->{register_id} );
+        $event->{staff_name}    = $staff_name->( $event->{borrowernumber} );
+        $event->{register_name} = $row->{register_name};
+
+        if ( $event->{outcome} eq 'abandoned' ) {
+            $row->{abandoned}++;
+            next;
+        }
+        # Unauthorised no-sales still opened the drawer
+        if ( $event->{outcome} ne 'success' && $event->{outcome} ne 'unauthorised' ) {
+            $row->{failed}++;
+            next;
+        }
+        $row->{opens}++;
+
+        if ( ( $event->{event_type} // 'transaction' ) eq 'no_sale' ) {
+            $row->{no_sales}++;
+            $event->{authorised_by_name} = $staff_name->( $event->{authorised_by} );
+            push @no_sale_events, $event;
+            next;
+        }
+
+        my ($match) = grep {
+                   !$_->{matched}
+                && $_->{epoch} >= $event->{epoch}
+                && $_->{epoch} <= $event->{epoch} + RECONCILIATION_MATCH_WINDOW
+                && defined $_->{manager_id} && defined $event->{borrowernumber}
+                && $_->{manager_id} == $event->{borrowernumber}
+                && ( !defined $event->{register_id} || !defined $_->{register_id}
+                    || $_->{register_id} == $event->{register_id} )
+        } @$koha_entries;
+
+        if ($match) {
+            $match->{matched} = 1;
+            $row->{matched}++;
+        }
+        else {
+            $row->{unmatched}++;
+            $event->{abandoned_reason} = $abandoned{ $event->{transaction_token} }
+                if defined $event->{transaction_token};
+            push @unmatched_events, $event;
+        }
+    }
+
+    my @days = sort { $b->{day} cmp $a->{day} || $a->{register_name} cmp $b->{register_name} } values %days;
+    foreach my $row (@days) {
+        $row->{unmatched_flag} = $row->{unmatched} ? 1 : 0;
+        $row->{no_sale_flag}   = $row->{no_sales} > $threshold ? 1 : 0;
+    }
+
+    return {
+        days             => \@days,
+        unmatched_events => \@unmatched_events,
+        no_sale_events   => \@no_sale_events,
+    };
+}
+
+=head3 _get_connection_failures
+
+Retrieve connection failure data for display in the configuration UI.
+
+    my $failures = $self->_get_connection_failures();
+
+Returns nested hash reference: branch_code -> registers -> register_id -> failure details.
+
+=cut
+
+sub _get_connection_failures {
+    my ($self) = @_;
+
+    my $failures_json = $self->retrieve_data('connection_failures') || '{}';
+    my $failures = {};
+    eval { $failures = decode_json($failures_json); };
+
+    # If decode failed, return empty hash
+    $failures = {} unless ref($failures) eq 'HASH';
+
+    return $failures;
+}
+
+=head3 _koha_version
+
+The running Koha version, e.g. '23.11.05.000', or '' if it can't be read.
+
+=cut
+
+sub _koha_version {
+    my ($self) = @_;
+    my $version = eval { require Koha; Koha::version() };
+    return $version // '';
+}
+
+=head3 _compare_koha_versions
+
+Compare two dotted Koha versions numerically, part by part, like C<< <=> >>.
+Missing parts count as 0, so '23.11' equals '23.11.00.000'.
+
+    $self->_compare_koha_versions('23.11.05.000', '24.05');   # -1
+
+=cut
+
+sub _compare_koha_versions {
+    my ( $self, $left, $right ) = @_;
+
+    my @left  = split /\./, $left // '';
+    my @right = split /\./, $right // '';
+    for my $i ( 0 .. ( @left > @right ? $#left : $#right ) ) {
+        my $cmp = ( $left[$i] // 0 ) <=> ( $right[$i] // 0 );
+        return $cmp if $cmp;
+    }
+    return 0;
+}
+
+=head3 _record_selector_health
+
+Record whether each page trigger's selector found its button on a page where
+the trigger applies, as reported by the browser. Results for selectors that
+aren't a current page trigger are ignored; entries for triggers since removed
+or changed are dropped.
+
+    $self->_record_selector_health(
+        [ { url_pattern => 'pos/pay.pl', selector => '#submitbutton', matched => 1 } ],
+        '/cgi-bin/koha/pos/pay.pl'
+    );
+
+=cut
+
+sub _record_selector_health {
+    my ( $self, $results, $page_url ) = @_;
+
+    return 0 unless ref($results) eq 'ARRAY';
+
+    my %triggers = map { ( $_->{urlPattern} // '' ) . ' ' . ( $_->{selector} // '' ) => 1 }
+        @{ $self->_get_page_trigger_configs() };
+
+    my $health_json = $self->retrieve_data('selector_health') || '{}';
+    my $health = {};
+    eval { $health = decode_json($health_json); };
+    $health = {} unless ref($health) eq 'HASH';
+    delete $health->{$_} for grep { !$triggers{$_} } keys %$health;
+
+    my $now     = time();
+    my $version = $self->_koha_version;
+    my $recorded = 0;
+    for my $result (@$results) {
+        next unless ref($result) eq 'HASH';
+        my $key = ( $result->{url_pattern} // '' ) . ' ' . ( $result->{selector} // '' );
+        next unless $triggers{$key};
+
+        my $entry = $health->{$key} ||= { checks => 0, checks_since_match => 0 };
+        $entry->{checks}++;
+        $entry->{last_checked}         = $now;
+        $entry->{last_checked_version} = $version;
+        if ( $result->{matched} ) {
+            $entry->{last_matched}         = $now;
+            $entry->{last_matched_version} = $version;
+            $entry->{checks_since_match}   = 0;
+        } else {
+            $entry->{checks_since_match}++;
+            $entry->{last_missed_page} = $page_url // '';
+            $self->_log_event('warn', 'Page trigger selector matched nothing', {
+                url_pattern => $result->{url_pattern},
+                selector    => $result->{selector},
+                page_url    => $page_url,
+                action      => 'selector_health'
+            }) if $entry->{checks_since_match} == 1;
+        }
+        $recorded++;
+    }
+
+    $self->store_data({ selector_health => JSON::encode_json($health) });
+
+    return $recorded;
+}
+
+=head3 _get_selector_health
+
+Report each current page trigger's selector health for the configuration page.
+A trigger is failing when its page was visited after the cut-off (a date and/or
+Koha version) but its selector hasn't matched since then; unchecked when its
+page hasn't been visited since.
+
+    my $health = $self->_get_selector_health({ since => $dt, since_version => '24.05' });
+    # { since => '2026-10-01', since_version => '24.05',
+    #   triggers => [{ description => ..., status => 'failing', ... }] }
+
+=cut
+
+sub _get_selector_health {
+    my ( $self, $params ) = @_;
+    $params ||= {};
+
+    my $since         = $params->{since} ? $params->{since}->epoch : undef;
+    my $since_version = $params->{since_version} // '';
+
+    my $health_json = $self->retrieve_data('selector_health') || '{}';
+    my $health = {};
+    eval { $health = decode_json($health_json); };
+    $health = {} unless ref($health) eq 'HASH';
+
+    # Whether a check happened at or after the cut-off
+    my $after_cutoff = sub {
+        my ( $time, $version ) = @_;
+        return 0 unless $time;
+        return 0 if defined $since && $time < $since;
+        return 0 if length $since_version && $self->_compare_koha_versions( $version, $since_version ) < 0;
+        return 1;
+    };
+
+    my @triggers;
+    for my $config ( @{ $self->_get_page_trigger_configs() } ) {
+        my $entry = $health->{ $config->{urlPattern} . ' ' . $config->{selector} } || {};
+
+        my $status =
+              !$after_cutoff->( $entry->{last_checked}, $entry->{last_checked_version} ) ? 'unchecked'
+            : $after_cutoff->( $entry->{last_matched}, $entry->{last_matched_version} ) ? 'ok'
+            :                                                                              'failing';
+
+        push @triggers, {
+            url_pattern            => $config->{urlPattern},
+            selector               => $config->{selector},
+            description            => $config->{description},
+            status                 => $status,
+            checks_since_match     => $entry->{checks_since_match} // 0,
+            last_checked_formatted => $entry->{last_checked} ? scalar( localtime( $entry->{last_checked} ) ) : '',
+            last_matched_formatted => $entry->{last_matched} ? scalar( localtime( $entry->{last_matched} ) ) : '',
+            last_matched_version   => $entry->{last_matched_version} // '',
+            last_missed_page       => $entry->{last_missed_page} // '',
+        };
+    }
+
+    return {
+        since         => $params->{since} ? $params->{since}->ymd : '',
+        since_version => $since_version,
+        triggers      => \@triggers,
+    };
+}
+
+=head3 _clear_connection_failures
+
+Clear all stored connection failure diagnostics.
+
+    $self->_clear_connection_failures();
+
+=cut
+
+sub _clear_connection_failures {
+    my ($self) = @_;
+
+    $self->store_data({
+        connection_failures => '{}'
+    });
+
+    $self->_log_event('info', 'Connection failure data cleared', {
+        action => 'clear_connection_failures'
+    });
+}
+
+=head3 _get_printer_drawer_code
+
+Get the drawer control code for a printer (case-insensitive matching)
+
+    my $drawer_code_info = $self->_get_printer_drawer_code($printer_name);
+    # Returns: { pattern => '...', bytes => [27, 112, 48, 55, 121], description => '...', ... }
+    # Returns undef if printer not supported
+
+When several patterns match, the winner is chosen by, in order: the highest
+priority, an exact match over a substring or regex match, the longest matched
+text, and finally registry order. QZDrawer.getDrawerCode applies the same
+ranking so server and client always agree.
+
+=cut
+
+sub _get_printer_drawer_code {
+    my ($self, $printer_name) = @_;
+
+    return unless defined $printer_name && length($printer_name) > 0;
+
+    my ($best, @best_rank);
+    foreach my $entry (@{ $self->_get_printer_registry() }) {
+        my $matched_length = $self->_match_printer_pattern($entry, $printer_name);
+        next unless defined $matched_length;
+
+        my @rank = (
+            $entry->{priority} || 0,
+            ( $entry->{match} || 'contains' ) eq 'exact' ? 1 : 0,
+            $matched_length,
+        );
+
+        # Strictly better only, so registry order breaks ties
+        my $better = !$best;
+        for my $i (0..$#rank) {
+            last if $better;
+            last if $rank[$i] < $best_rank[$i];
+            $better = 1 if $rank[$i] > $best_rank[$i];
+        }
+
+        if ($better) {
+            $best = $entry;
+            @best_rank = @rank;
+        }
+    }
+
+    return $best; # undef if not supported
+}
+
+=head3 _parse_network_target
+
+Parse a register printer mapping as a network (raw TCP) printer target given
+as C<host:port>, where host is a hostname or IPv4 address. QZNetworkPrinter
+accepts the same form.
+
+    my $target = $self->_parse_network_target('192.168.1.50:9100');
+    # Returns: { host => '192.168.1.50', port => 9100 }
+    # Returns undef for OS printer names
+
+=cut
+
+sub _parse_network_target {
+    my ($self, $value) = @_;
+
+    return unless defined $value;
+    return unless $value =~ /^([A-Za-z0-9](?:[A-Za-z0-9.-]*[A-Za-z0-9])?):(\d{1,5})$/;
+
+    my ($host, $port) = ($1, $2);
+    return unless $port >= 1 && $port <= 65535;
+
+    return { host => $host, port => $port + 0 };
+}
+
+=head3 _match_printer_pattern
+
+Match a printer name against a single registry entry. Entries match as a
+case-insensitive substring (C<contains>, the default), the whole name
+(C<exact>) or a case-insensitive regular expression (C<regex>). Regular
+expressions are limited to the syntax L</_portable_regex_error> accepts, and
+use ASCII C<\d>, C<\w> and C<\b> as JavaScript does.
+
+    my $matched_length = $self->_match_printer_pattern($entry, $printer_name);
+
+Returns the length of the matched text, or undef when the entry doesn't match.
+
+=cut
+
+sub _match_printer_pattern {
+    my ($self, $entry, $printer_name) = @_;
+
+    my $pattern = $entry->{pattern} // '';
+    my $mode    = $entry->{match} || 'contains';
+    return unless length $pattern;
+
+    if ($mode eq 'exact') {
+        return lc($printer_name) eq lc($pattern) ? length($printer_name) : undef;
+    }
+
+    if ($mode eq 'regex') {
+        return if $self->_portable_regex_error($pattern);
+        my $regex = eval { qr/$pattern/ia };
+        return unless $regex;
+        return $printer_name =~ $regex ? length($&) : undef;
+    }
+
+    return index( lc($printer_name), lc($pattern) ) != -1 ? length($pattern) : undef;
+}
+
+=head3 _portable_regex_error
+
+Check a printer pattern uses only regular expression syntax that Perl and
+JavaScript read the same way, so the server and the browser agree on which
+printers it matches: ASCII literals, escaped punctuation, C<.>, C<^>, C<$>,
+C<\d>, C<\D>, C<\w>, C<\W>, C<\b>, C<\B>, character classes such as
+C<[A-Z0-9-]>, capturing and C<(?:...)> groups, C<|>, and the C<*>, C<+>, C<?>
+and C<{n,m}> quantifiers (optionally lazy).
+
+    my $error = $self->_portable_regex_error('^EPSON TM-T8\d');
+    # Returns undef, or a message such as "'\Z' isn't supported"
+
+=cut
+
+sub _portable_regex_error {
+    my ($self, $pattern) = @_;
+
+    return 'the pattern is empty' unless defined $pattern && length $pattern;
+    return 'use only plain ASCII characters' if $pattern =~ /[^\x20-\x7E]/;
+
+    my $rest  = $pattern;
+    my $depth = 0;
+    my $quantifiable = 0;
+    while (length $rest) {
+        if ($rest =~ s/^\\([dDwW])// || $rest =~ s/^\\([^A-Za-z0-9])//) {
+            $quantifiable = 1;
+        } elsif ($rest =~ s/^\\([bB])//) {
+            $quantifiable = 0;
+        } elsif ($rest =~ /^(\\.?)/) {
+            return "'$1' isn't supported";
+        } elsif ($rest =~ s/^\[\^?(?:\\[dDwW]|\\[^A-Za-z0-9]|[^\\\[\]])+\]//) {
+            $quantifiable = 1;
+        } elsif ($rest =~ /^\[/) {
+            return 'character classes may only hold characters, ranges, escaped punctuation and \\d or \\w';
+        } elsif ($rest =~ s/^\(\?://) {
+            $depth++;
+            $quantifiable = 0;
+        } elsif ($rest =~ /^\(\?/) {
+            return "only (?:...) groups are supported";
+        } elsif ($rest =~ s/^\(//) {
+            $depth++;
+            $quantifiable = 0;
+        } elsif ($rest =~ s/^\)//) {
+            return 'unmatched )' if --$depth < 0;
+            $quantifiable = 1;
+        } elsif ($rest =~ s/^(?:[*+?]|\{(\d+)(?:,(\d*))?\})//) {
+            return 'a quantifier must follow something to repeat' unless $quantifiable;
+            return "the numbers in '{$1,$2}' are out of order"
+                if defined $2 && length $2 && $2 < $1;
+            $rest =~ s/^\?//;
+            return 'possessive quantifiers are not supported' if $rest =~ /^\+/;
+            $quantifiable = 0;
+        } elsif ($rest =~ /^([{}\]])/) {
+            return "escape a literal '$1' as '\\$1'";
+        } elsif ($rest =~ s/^[|^\$]//) {
+            $quantifiable = 0;
+        } else {
+            $rest =~ s/^.//s;
+            $quantifiable = 1;
+        }
+    }
+    return 'unmatched (' if $depth;
+    return 'it is not a valid regular expression' unless eval { qr/$pattern/ia };
+
+    return;
+}
+
+=head3 _is_supported_printer
+
+Check if a printer is supported (case-insensitive matching)
+
+    my $is_supported = $self->_is_supported_printer($printer_name);
+
+Returns true if the printer has a specific drawer code defined, or is a network
+target (host:port) which is sent the default drawer code; false otherwise.
+
+=cut
+
+sub _is_supported_printer {
+    my ($self, $printer_name) = @_;
+
+    return 0 unless defined $printer_name && length($printer_name) > 0;
+    return 1 if $self->_parse_network_target($printer_name);
+
+    # Use the drawer code lookup - if we get a code, it's supported
+    return defined $self->_get_printer_drawer_code($printer_name);
+}
+
+=head3 _get_supported_printer_patterns
+
+Get list of all supported printer patterns
+
+    my @patterns = $self->_get_supported_printer_patterns();
+
+Returns array of printer name patterns that are supported.
+
+=cut
+
+sub _get_supported_printer_patterns {
+    my ($self) = @_;
+    return sort map { $_->{pattern} } @{ $self->_get_printer_registry() };
+}
+
+=head3 _get_custom_printer_codes
+
+Get the admin-defined printer patterns from plugin data, in the order they
+were listed on the configuration page.
+
+    my $custom = $self->_get_custom_printer_codes();
+    # Returns: [ { pattern => 'Star TSP100', bytes => [27, 112, 0, 25, 250], description => '...' }, ... ]
+
+=cut
+
+sub _get_custom_printer_codes {
+    my ($self) = @_;
+
+    my $codes_json = $self->retrieve_data('printer_drawer_codes') || '[]';
+    my $codes = [];
+    eval { $codes = decode_json($codes_json); };
+
+    # If decode failed, treat as no custom patterns
+    $codes = [] unless ref($codes) eq 'ARRAY';
+
+    return [ grep { ref($_) eq 'HASH' && $_->{pattern} && ref( $_->{bytes} ) eq 'ARRAY' } @$codes ];
+}
+
+=head3 _get_printer_registry
+
+Get the effective printer registry: admin-defined patterns first (in their
+configured order), followed by the built-in patterns they don't override.
+A custom pattern overrides a built-in one with the same name (case-insensitive).
+
+    my $registry = $self->_get_printer_registry();
+    # Returns: [ { pattern => '...', bytes => [...], description => '...', builtin => 0|1 }, ... ]
+
+=cut
+
+sub _get_printer_registry {
+    my ($self) = @_;
+
+    my @registry = map { { %$_, builtin => 0 } } @{ $self->_get_custom_printer_codes() };
+    my %overridden = map { lc( $_->{pattern} ) => 1 } @registry;
+
+    foreach my $pattern (sort keys %$PRINTER_DRAWER_CODES) {
+        next if $overridden{ lc $pattern };
+        push @registry, {
+            %{ $PRINTER_DRAWER_CODES->{$pattern} },
+            pattern => $pattern,
+            builtin => 1,
+        };
+    }
+
+    return \@registry;
+}
+
+=head3 _parse_drawer_bytes
+
+Parse a drawer code entered on the configuration page. Bytes are separated by
+commas and/or whitespace and may be decimal (C<27>) or hex (C<0x1B>).
+
+    my ($bytes, $error) = $self->_parse_drawer_bytes('0x1B, 0x70, 0, 25, 250');
+    # Returns: ([27, 112, 0, 25, 250], undef) or (undef, 'error message')
+
+=cut
+
+sub _parse_drawer_bytes {
+    my ($self, $text) = @_;
+
+    my @tokens = grep { length } split /[\s,]+/, ($text // '');
+    return (undef, 'drawer code is required') unless @tokens;
+    return (undef, 'drawer code is too long (max 32 bytes)') if @tokens > 32;
+
+    my @bytes;
+    foreach my $token (@tokens) {
+        my $value;
+        if ($token =~ /^0x([0-9a-f]{1,2})$/i) {
+            $value = hex($1);
+        } elsif ($token =~ /^\d{1,3}$/) {
+            $value = $token + 0;
+        }
+
+        unless (defined $value && $value <= 255) {
+            return (undef, "'$token' is not a valid byte (use 0-255 or 0x00-0xFF)");
+        }
+        push @bytes, $value;
+    }
+
+    return (\@bytes, undef);
+}
+
+=head3 _format_drawer_bytes
+
+Format a drawer code byte array for display and editing.
+
+    my $text = $self->_format_drawer_bytes([27, 112, 48, 55, 121]); # '27, 112, 48, 55, 121'
+
+=cut
+
+sub _format_drawer_bytes {
+    my ($self, $bytes) = @_;
+    return join( ', ', @{ $bytes || [] } );
+}
+
+=head3 _get_printer_support_mapping_json
+
+Get the printer support mapping as JSON for JavaScript
+
+    my $json = $self->_get_printer_support_mapping_json();
+
+Returns a JSON string holding the printer patterns, in registry order, and the
+drawer code used for printers none of them match:
+
+    { "patterns": [ { "pattern": "...", "match": "contains", "priority": 0,
+                      "dialect": "escpos", "bytes": [...], "description": "..." }, ... ],
+      "defaultCode": { "bytes": [...], "description": "...", "dialect": "escpos" } }
+
+=cut
+
+sub _get_printer_support_mapping_json {
+    my ($self) = @_;
+
+    # Convert the registry to a JavaScript-friendly format. The patterns are an
+    # array so they keep registry order, which the client uses as the final
+    # tie-break exactly as _get_printer_drawer_code does.
+    my @patterns;
+    foreach my $entry (@{ $self->_get_printer_registry() }) {
+        # Patterns saved before the portable subset was enforced are ignored
+        # by _match_printer_pattern, so keep them from the browser as well
+        next if ( $entry->{match} || '' ) eq 'regex' && $self->_portable_regex_error( $entry->{pattern} );
+        push @patterns, {
+            pattern => $entry->{pattern},
+            bytes => $entry->{bytes},
+            description => $entry->{description},
+            match => $entry->{match} || 'contains',
+            priority => $entry->{priority} || 0,
+            dialect => $entry->{dialect} || 'escpos'
+        };
+    }
+
+    return JSON::encode_json({
+        patterns => \@patterns,
+        defaultCode => {
+            bytes => $DEFAULT_DRAWER_CODE->{bytes},
+            description => $DEFAULT_DRAWER_CODE->{description},
+            dialect => 'escpos'
+        }
+    });
 }
 
 
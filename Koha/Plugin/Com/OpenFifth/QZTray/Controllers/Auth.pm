@@ -191,6 +191,7 @@ sub logPrinter {
 
         # Extract printer discovery details
         my $printers     = $body->{printers} || [];
+        my $serial_ports = $body->{serial_ports} || [];
         my $register_id  = $body->{register_id} || '';
         my $page_url     = $body->{page_url} || 'unknown_url';
 
@@ -205,6 +206,16 @@ sub logPrinter {
             );
         }
 
+        unless (ref($serial_ports) eq 'ARRAY') {
+            return $c->render(
+                json => {
+                    error => 'serial_ports field must be an array',
+                    error_code => 'INVALID_SERIAL_PORTS_FIELD'
+                },
+                status => 400
+            );
+        }
+
         # Get branch and register information from session
         my $userenv = C4::Context->userenv;
         my $branch_code = $userenv ? $userenv->{'branch'} : 'unknown';
@@ -239,6 +250,7 @@ sub logPrinter {
             register_id => $register_id,
             register_name => $register_name,
             printers => $printers,
+            serial_ports => $serial_ports,
             page_url => $page_url,
         });
 
@@ -295,6 +307,8 @@ sub logConnection {
         my $error_name     = $body->{error_name} // '';
         my $timeout_ms     = $body->{timeout_ms};
         my $secure_context = $body->{secure_context};
+        my $connection     = $body->{connection} // '';
+        my $connection_method = $body->{connection_method} // '';
         my $printer        = $body->{printer} // '';
         my $user_agent     = $body->{user_agent} || 'unknown_user_agent';
         my $register_id    = $body->{register_id} || '';
@@ -339,6 +353,8 @@ sub logConnection {
             error_name     => $error_name,
             timeout_ms     => $timeout_ms,
             secure_context => $secure_context,
+            connection     => $connection,
+            connection_method => $connection_method,
             printer        => $printer,
             user_agent     => $user_agent,
             page_url       => $page_url,
@@ -368,6 +384,289 @@ sub logConnection {
     };
 }
 
+sub recordSelectorHealth {
+    my $c = shift->openapi->valid_input or return;
+
+    try {
+        my $plugin = Koha::Plugin::Com::OpenFifth::QZTray->new();
+        my $body = $c->validation->param('body');
+
+        my $recorded = $plugin->_record_selector_health(
+            $body->{results},
+            $body->{page_url} || 'unknown_url'
+        );
+
+        return $c->render(
+            json => {
+                status => 'recorded',
+                recorded => $recorded
+            },
+            status => 200
+        );
+    }
+    catch {
+        my $plugin = Koha::Plugin::Com::OpenFifth::QZTray->new();
+        $plugin->_log_event('error', 'Error recording selector health', {
+            error => "$_",
+            action => 'recordSelectorHealth',
+            endpoint => '/selector-health'
+        });
+        return $c->render(
+            json => {
+                error => 'Failed to record selector health',
+                error_code => 'SELECTOR_HEALTH_FAILED'
+            },
+            status => 500
+        );
+    };
+}
+
+sub logDrawerEvent {
+    my $c = shift->openapi->valid_input or return;
+
+    try {
+        my $plugin = Koha::Plugin::Com::OpenFifth::QZTray->new();
+        my $body   = $c->validation->param('body');
+
+        my $outcome = $body->{outcome} // '';
+        unless ($outcome =~ /^(?:success|failure|cancelled|abandoned)$/) {
+            return $c->render(
+                json => {
+                    error => "outcome must be 'success', 'failure', 'cancelled' or 'abandoned'",
+                    error_code => 'INVALID_OUTCOME'
+                },
+                status => 400
+            );
+        }
+
+        # Staff, library and register come from the session, not the client
+        my $userenv = C4::Context->userenv;
+        my $borrowernumber = $userenv ? $userenv->{'number'} : undef;
+        my $branch_code = $userenv ? $userenv->{'branch'} : undef;
+        my $session_register_id = $userenv ? ($userenv->{'register_id'} || '') : '';
+
+        # The register selected on the page wins over the session register
+        my $register_id = $body->{register_id} || $session_register_id;
+        $register_id = undef unless defined $register_id && $register_id =~ /^\d+$/;
+
+        # Drawer openings outside a payment (no-sales) carry a reason, as do
+        # payments abandoned after the drawer opened
+        my $event_type = ($body->{event_type} // '') eq 'no_sale' ? 'no_sale' : 'transaction';
+        my $has_reason = $event_type eq 'no_sale' || $outcome eq 'abandoned';
+
+        my $transaction_token = $body->{transaction_token} // '';
+        $transaction_token = undef unless $transaction_token =~ /^[A-Za-z0-9-]{1,64}$/;
+
+        # Staff without the no-sale permission need a supervisor's
+        # authorisation, redeemed before the drawer opened. The event is
+        # recorded either way: a drawer opened without one is 'unauthorised'.
+        my $authorised_by;
+        if ( $event_type eq 'no_sale' && !$plugin->_can_open_no_sale( $userenv ? $userenv->{'id'} : undef ) ) {
+            $authorised_by = $plugin->_take_no_sale_authorisation( $body->{authorisation_token}, $borrowernumber );
+            unless ( defined $authorised_by ) {
+                $plugin->_log_event('warn', 'No-sale drawer event without a valid authorisation: staff member lacks permission', {
+                    action => 'logDrawerEvent',
+                    register_id => $register_id,
+                    outcome => $outcome
+                });
+                $outcome = 'unauthorised' if $outcome eq 'success';
+            }
+        }
+
+        my $event_id = $plugin->_log_drawer_event({
+            outcome             => $outcome,
+            borrowernumber      => $borrowernumber,
+            register_id         => $register_id,
+            branchcode          => $branch_code,
+            printer             => substr( $body->{printer} // '', 0, 255 ),
+            trigger_description => substr( $body->{trigger} // '', 0, 255 ),
+            page_url            => substr( $body->{page_url} // '', 0, 255 ),
+            error_message       => $body->{error_message} // '',
+            event_type          => $event_type,
+            reason              => $has_reason ? substr( $body->{reason} // '', 0, 255 ) : undef,
+            note                => $event_type eq 'no_sale' ? ( $body->{note} // '' ) : undef,
+            authorised_by       => $authorised_by,
+            transaction_token   => $transaction_token,
+        });
+
+        # Abandoned payments also show in the configuration page diagnostics
+        if ( $outcome eq 'abandoned' ) {
+            my $register = $register_id ? Koha::Cash::Registers->find($register_id) : undef;
+            my $library  = $branch_code ? Koha::Libraries->find($branch_code) : undef;
+            $plugin->_log_connection_failure({
+                branch_code   => $branch_code,
+                branch_name   => $library ? $library->branchname : $branch_code,
+                register_id   => $register_id,
+                register_name => $register ? $register->name : '',
+                category      => 'abandoned',
+                failure_type  => substr( $body->{reason} // 'unknown', 0, 255 ),
+                error_message => 'Payment not committed after the cash drawer opened ('
+                    . substr( $body->{trigger} // '', 0, 255 ) . ')',
+                page_url      => substr( $body->{page_url} // '', 0, 255 ),
+            });
+        }
+
+        return $c->render(
+            json => {
+                status   => 'logged',
+                event_id => $event_id
+            },
+            status => 200
+        );
+    }
+    catch {
+        my $plugin = Koha::Plugin::Com::OpenFifth::QZTray->new();
+        $plugin->_log_event('error', 'Error recording drawer event', {
+            error => "$_",
+            action => 'logDrawerEvent',
+            endpoint => '/drawer-event'
+        });
+        return $c->render(
+            json => {
+                error => 'Failed to record drawer event',
+                error_code => 'DRAWER_EVENT_LOGGING_FAILED'
+            },
+            status => 500
+        );
+    };
+}
+
+sub authoriseNoSale {
+    my $c = shift->openapi->valid_input or return;
+
+    try {
+        my $plugin = Koha::Plugin::Com::OpenFifth::QZTray->new();
+        my $body   = $c->validation->param('body') || {};
+
+        my $userenv = C4::Context->userenv;
+        my $session_register_id = $userenv ? ($userenv->{'register_id'} || '') : '';
+        my $register_id = $body->{register_id} || $session_register_id;
+
+        # The drawer is about to open on a supervisor's earlier authorisation
+        if ( defined $body->{authorisation_token} && length $body->{authorisation_token} ) {
+            my $authorised_by = $plugin->_redeem_no_sale_authorisation(
+                $body->{authorisation_token},
+                $userenv ? $userenv->{'number'} : undef
+            );
+            unless ( defined $authorised_by ) {
+                $plugin->_log_event('warn', 'No-sale supervisor authorisation refused: expired, already used or not issued to this staff member', {
+                    action => 'authoriseNoSale',
+                    register_id => $register_id
+                });
+                return $c->render(
+                    json => {
+                        error => "The supervisor's authorisation has expired or was already used",
+                        error_code => 'NO_SALE_AUTHORISATION_EXPIRED'
+                    },
+                    status => 403
+                );
+            }
+
+            return $c->render(
+                json => { status => 'redeemed' },
+                status => 200
+            );
+        }
+
+        # A supervisor authorising the opening on the staff member's behalf
+        if ( defined $body->{userid} && length $body->{userid} ) {
+            unless ( $plugin->retrieve_data('no_sale_supervisor_override') ) {
+                return $c->render(
+                    json => {
+                        error => 'Supervisor override is not enabled',
+                        error_code => 'SUPERVISOR_OVERRIDE_DISABLED'
+                    },
+                    status => 403
+                );
+            }
+
+            my $supervisor = $plugin->_verify_supervisor( $body->{userid}, $body->{password} );
+            unless ($supervisor) {
+                $plugin->_log_event('warn', 'No-sale supervisor override refused: invalid credentials', {
+                    action => 'authoriseNoSale',
+                    register_id => $register_id,
+                    supervisor_userid => $body->{userid}
+                });
+                return $c->render(
+                    json => {
+                        error => 'Invalid supervisor username, password or PIN',
+                        error_code => 'INVALID_SUPERVISOR_CREDENTIALS'
+                    },
+                    status => 401
+                );
+            }
+
+            unless ( $plugin->_can_open_no_sale( $supervisor->userid ) ) {
+                $plugin->_log_event('warn', 'No-sale supervisor override refused: supervisor lacks permission', {
+                    action => 'authoriseNoSale',
+                    register_id => $register_id,
+                    supervisor_userid => $supervisor->userid
+                });
+                return $c->render(
+                    json => {
+                        error => 'This supervisor does not have permission to authorise opening the cash drawer',
+                        error_code => 'SUPERVISOR_NOT_PERMITTED'
+                    },
+                    status => 403
+                );
+            }
+
+            my $token = $plugin->_create_no_sale_authorisation(
+                $userenv ? $userenv->{'number'} : undef,
+                $supervisor->borrowernumber
+            );
+            $plugin->_log_event('info', 'No-sale drawer opening authorised by supervisor', {
+                action => 'authoriseNoSale',
+                register_id => $register_id,
+                authorised_by => $supervisor->borrowernumber
+            });
+
+            return $c->render(
+                json => {
+                    status => 'authorised',
+                    authorisation_token => $token,
+                    authorised_by => join( ' ', grep { defined && length } $supervisor->firstname, $supervisor->surname )
+                },
+                status => 200
+            );
+        }
+
+        unless ( $plugin->_can_open_no_sale( $userenv ? $userenv->{'id'} : undef ) ) {
+            $plugin->_log_event('warn', 'No-sale drawer opening refused: staff member lacks permission', {
+                action => 'authoriseNoSale',
+                register_id => $register_id
+            });
+            return $c->render(
+                json => {
+                    error => 'You do not have permission to open the cash drawer without a transaction',
+                    error_code => 'NO_SALE_NOT_PERMITTED'
+                },
+                status => 403
+            );
+        }
+
+        return $c->render(
+            json => { status => 'authorised' },
+            status => 200
+        );
+    }
+    catch {
+        my $plugin = Koha::Plugin::Com::OpenFifth::QZTray->new();
+        $plugin->_log_event('error', 'Error authorising no-sale drawer opening', {
+            error => "$_",
+            action => 'authoriseNoSale',
+            endpoint => '/authorise-no-sale'
+        });
+        return $c->render(
+            json => {
+                error => 'Failed to authorise no-sale drawer opening',
+                error_code => 'NO_SALE_AUTHORISATION_FAILED'
+            },
+            status => 500
+        );
+    };
+}
+
 sub setRegisterPrinter {
     my $c = shift->openapi->valid_input or return;
 
@@ -17,20 +17,55 @@
     // the user must click before the socket completes — can raise it.
     var DEFAULT_AVAILABILITY_TIMEOUT_MS = 1500;
 
+    // While QZ Tray is unavailable we keep trying to connect in the
+    // background, doubling the wait after each failure up to the maximum
+    var RECONNECT_INITIAL_DELAY_MS = 2000;
+    var RECONNECT_MAX_DELAY_MS = 60000;
+
+    // The host, port and protocol QZ Tray last answered on at this
+    // workstation. Trying them first skips qz-tray's probe of every
+    // host/port/TLS combination, which is what makes a cold connect slow.
+    var LAST_CONNECTION_KEY = 'qzTrayLastConnection';
+
+    // The QZ Tray API calls call() can run, here or for another tab. 'print'
+    // takes (printer, config options, data) as qz.configs.create() objects
+    // can't be passed between tabs.
+    var SHARED_CALLS = [
+        'print',
+        'printers.find',
+        'printers.getDefault',
+        'serial.findPorts',
+        'serial.openPort',
+        'serial.sendData',
+        'serial.closePort',
+        'socket.open',
+        'socket.sendData',
+        'socket.close'
+    ];
+
     function QZAvailability(config, auth) {
         this.config = config;
         this.auth = auth;
         this.available = undefined; // undefined = not checked, true = available, false = unavailable
         this.checkInProgress = false;
         this.checkPromise = null;
+        this.watchingConnection = false;
+        this.reconnectTimer = null;
+        this.reconnectInProgress = false;
+        this.reconnectDelay = RECONNECT_INITIAL_DELAY_MS;
+        this.reconnectAttempts = 0;
+        this.connectionInfo = null; // { address, method, connectMs } of the last connect attempt
     }
 
     QZAvailability.prototype = {
         /**
          * Check if QZ Tray is available (with caching)
          * Returns a promise that resolves to true/false
+         *
+         * @param {boolean} [probe] Connect to QZ Tray even if the tab that
+         *        owns the connection has already shared its availability
          */
-        checkAvailability: function() {
+        checkAvailability: function(probe) {
             var self = this;
 
             // Return cached result if available
@@ -49,6 +84,23 @@
                 return this.checkPromise;
             }
 
+            // Another tab on this workstation owns the connection and
+            // knows the answer; it runs this tab's QZ Tray calls too
+            var shared = probe ? undefined : QZTabCoordinator.getSharedAvailability();
+            if (shared !== undefined) {
+                if (window.qzConfig.debugMode) {
+                    console.log('QZ Tray: Using availability shared by another tab:', shared);
+                }
+                this._setAvailable(shared, true);
+                return Promise.resolve(shared);
+            }
+
+            // The owning tab hasn't announced it yet, e.g. it is still
+            // probing: ask it rather than probing from this tab too
+            if (!probe && QZTabCoordinator.hasLiveOwner()) {
+                return this._askOwningTab();
+            }
+
             // Perform new availability check
             this.checkInProgress = true;
 
@@ -64,7 +116,7 @@
                 function settle(value) {
                     if (settled) return;
                     settled = true;
-                    self.available = value;
+                    self._setAvailable(value);
                     self.checkInProgress = false;
                     resolve(value);
                 }
@@ -91,7 +143,7 @@
                         // Late success after timeout still updates the cache so
                         // the next popDrawer call sees the correct state, even
                         // if we already resolved false to the UI.
-                        self.available = true;
+                        self._setAvailable(true);
 
                         // Keep the socket open so drawer/discovery operations can
                         // reuse it — this avoids a second "Allow" trust prompt and
@@ -111,6 +163,30 @@
             return this.checkPromise;
         },
 
+        /**
+         * Wait for the tab that owns the connection to report whether QZ
+         * Tray is available (internal method)
+         */
+        _askOwningTab: function() {
+            var self = this;
+
+            this.checkInProgress = true;
+            this.checkPromise = QZTabCoordinator.request('availability').then(function(available) {
+                return !!available;
+            }, function(error) {
+                if (window.qzConfig.debugMode) {
+                    console.log('QZ Tray: Owning tab did not report availability:', error && error.message);
+                }
+                return false;
+            }).then(function(available) {
+                self.checkInProgress = false;
+                self._setAvailable(available, true);
+                return available;
+            });
+
+            return this.checkPromise;
+        },
+
         /**
          * Check if QZ Tray is currently available (synchronous)
          * Returns: true if available, false if unavailable, undefined if not yet checked
@@ -120,16 +196,32 @@
         },
 
         /**
-         * Force recheck of QZ availability (clears cache)
+         * Force recheck of QZ availability (clears cache). When another tab
+         * owns the connection, that tab rechecks and shares the answer.
          */
         recheckAvailability: function() {
+            var self = this;
+
             if (window.qzConfig.debugMode) {
                 console.log('QZ Tray: Forcing availability recheck');
             }
             this.available = undefined;
             this.checkInProgress = false;
             this.checkPromise = null;
-            return this.checkAvailability();
+
+            if (!this._isConnected() && QZTabCoordinator.hasLiveOwner()) {
+                return QZTabCoordinator.request('recheck').then(function(available) {
+                    self._setAvailable(!!available, true);
+                    return !!available;
+                }, function(error) {
+                    if (window.qzConfig.debugMode) {
+                        console.log('QZ Tray: Recheck by the owning tab failed:', error && error.message);
+                    }
+                    return self.checkAvailability();
+                });
+            }
+
+            return this.checkAvailability(true);
         },
 
         /**
@@ -139,22 +231,328 @@
             if (window.qzConfig.debugMode) {
                 console.log('QZ Tray: Marked as unavailable');
             }
-            this.available = false;
+            this._setAvailable(false);
         },
 
         /**
-         * Ensure a live QZ Tray socket, reusing an existing one when present.
-         * qz.websocket.connect() rejects if a socket is already open, so we
-         * only connect when isActive() reports no live connection.
+         * Mark QZ as unavailable when an open socket closes, e.g. QZ Tray was
+         * quit or the till restarted. Only closes of an established
+         * connection are reported by qz-tray, not failed connection attempts.
+         */
+        watchConnection: function() {
+            if (this.watchingConnection || !qz.websocket || !qz.websocket.setClosedCallbacks) {
+                return;
+            }
+            this.watchingConnection = true;
+
+            var self = this;
+            qz.websocket.setClosedCallbacks(function(event) {
+                if (window.qzConfig.debugMode) {
+                    console.log('QZ Tray: Connection closed' + (event && event.code ? ' (code ' + event.code + ')' : ''));
+                }
+                self._setAvailable(false);
+            });
+        },
+
+        /**
+         * Share the connection with the other tabs of this workstation:
+         * follow the availability announced by the tab that owns the socket,
+         * run the other tabs' QZ Tray calls while this tab owns it, and take
+         * over when the owning tab is closed.
+         */
+        coordinateTabs: function() {
+            var self = this;
+
+            QZTabCoordinator.start({
+                onAvailability: function(available) {
+                    self._setAvailable(available, true);
+                },
+                onOwnerGone: function() {
+                    self.recheckAvailability();
+                }
+            });
+
+            QZTabCoordinator.handle('qz', function(request) {
+                return self.ensureConnected().then(function() {
+                    return self._callHere(request.method, request.args || []);
+                });
+            });
+            QZTabCoordinator.handle('availability', function() {
+                return self.checkAvailability();
+            });
+            QZTabCoordinator.handle('recheck', function() {
+                return self.recheckAvailability();
+            });
+        },
+
+        /**
+         * Run a QZ Tray API call, e.g. call('printers.find') or
+         * call('print', printer, { encoding: 'Cp858' }, data), on this
+         * workstation's shared connection: on this tab's socket, connecting
+         * it if no other tab owns the connection, or else in the tab that
+         * does. Arguments and results must survive JSON.
+         */
+        call: function(method) {
+            var self = this;
+            var args = Array.prototype.slice.call(arguments, 1);
+
+            if (!this._isConnected() && QZTabCoordinator.hasLiveOwner()) {
+                return QZTabCoordinator.request('qz', { method: method, args: args });
+            }
+
+            return this.ensureConnected().then(function() {
+                return self._callHere(method, args);
+            });
+        },
+
+        /**
+         * Make the workstation's connection ready for call(): reuse this
+         * tab's socket, leave it to the tab that owns the connection, or
+         * connect
+         */
+        useConnection: function() {
+            if (this._isConnected() || QZTabCoordinator.hasLiveOwner()) {
+                return Promise.resolve();
+            }
+            return this.ensureConnected();
+        },
+
+        /**
+         * Run a QZ Tray API call on this tab's socket (internal method)
+         */
+        _callHere: function(method, args) {
+            if (SHARED_CALLS.indexOf(method) === -1) {
+                return Promise.reject(new Error('Unsupported QZ Tray call: ' + method));
+            }
+
+            if (method === 'print') {
+                var config = args[1] ? qz.configs.create(args[0], args[1]) : qz.configs.create(args[0]);
+                return qz.print(config, args[2]);
+            }
+
+            var path = method.split('.');
+            var api = qz[path[0]];
+            return api[path[1]].apply(api, args);
+        },
+
+        /**
+         * Whether this tab has an open QZ Tray socket (internal method)
+         */
+        _isConnected: function() {
+            return !!(qz.websocket && qz.websocket.isActive && qz.websocket.isActive());
+        },
+
+        /**
+         * Keep trying to connect in the background until QZ Tray answers,
+         * backing off between attempts. A successful attempt marks QZ as
+         * available, which is announced as 'availability-changed'. Left to
+         * the owning tab when another tab has the connection.
+         */
+        startReconnecting: function() {
+            if (this.reconnectTimer || this.reconnectInProgress || this.available === true) {
+                return;
+            }
+            if (QZTabCoordinator.hasLiveOwner()) {
+                return;
+            }
+
+            var self = this;
+            var delay = this.reconnectDelay;
+
+            if (window.qzConfig.debugMode) {
+                console.log('QZ Tray: Trying to reconnect in ' + delay + 'ms');
+            }
+
+            this.reconnectTimer = setTimeout(function() {
+                self.reconnectTimer = null;
+                self._attemptReconnect();
+            }, delay);
+        },
+
+        /**
+         * Stop the background reconnection loop and reset its backoff
+         */
+        stopReconnecting: function() {
+            if (this.reconnectTimer) {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+            }
+            this.reconnectDelay = RECONNECT_INITIAL_DELAY_MS;
+            this.reconnectAttempts = 0;
+        },
+
+        /**
+         * One reconnection attempt (internal method)
+         */
+        _attemptReconnect: function() {
+            var self = this;
+
+            this.reconnectInProgress = true;
+            this.reconnectAttempts++;
+            this.auth.setupSecurity();
+
+            this.ensureConnected()
+                .then(function() {
+                    self.reconnectInProgress = false;
+                    if (window.qzConfig.debugMode) {
+                        console.log('QZ Tray: Reconnected after ' + self.reconnectAttempts + ' attempt(s)');
+                    }
+                    self.stopReconnecting();
+                    self._setAvailable(true);
+                })
+                .catch(function(error) {
+                    self.reconnectInProgress = false;
+                    if (window.qzConfig.debugMode) {
+                        console.log('QZ Tray: Reconnection attempt failed:', error && error.message);
+                    }
+                    self.reconnectDelay = Math.min(self.reconnectDelay * 2, RECONNECT_MAX_DELAY_MS);
+                    self.startReconnecting();
+                });
+        },
+
+        /**
+         * Update the cached availability, announcing real changes as an
+         * 'availability-changed' event, and to the other tabs when this tab
+         * owns the connection
+         *
+         * @param {boolean} [fromOtherTab] the change was announced by another tab
+         */
+        _setAvailable: function(available, fromOtherTab) {
+            var previous = this.available;
+            this.available = available;
+            if (previous !== available) {
+                QZEvents.emit('availability-changed', { available: available });
+                if (!fromOtherTab && QZTabCoordinator.isOwner()) {
+                    QZTabCoordinator.publishAvailability(available);
+                }
+            }
+        },
+
+        /**
+         * Ensure a live QZ Tray socket in this tab, reusing an existing one
+         * when present. qz.websocket.connect() rejects if a socket is already
+         * open, so we only connect when isActive() reports no live
+         * connection. Rejects while another open tab owns the connection;
+         * use call() to go through it.
          */
         ensureConnected: function() {
-            if (qz.websocket && qz.websocket.isActive && qz.websocket.isActive()) {
+            if (this._isConnected()) {
                 if (window.qzConfig.debugMode) {
                     console.log('QZ Tray: Reusing existing open connection');
                 }
                 return Promise.resolve();
             }
-            return qz.websocket.connect({ retries: 0, delay: 0 });
+            var self = this;
+            return QZTabCoordinator.becomeOwner().then(function(owner) {
+                if (!owner) {
+                    throw new Error('QZ Tray connection is owned by another tab');
+                }
+                return self._connect();
+            });
+        },
+
+        /**
+         * Connect with the parameters that last worked at this workstation,
+         * falling back to qz-tray's full probe of hosts and ports
+         * (internal method)
+         */
+        _connect: function() {
+            var self = this;
+            var startedAt = Date.now();
+            var remembered = this._getRememberedConnection();
+
+            var probe = function(method) {
+                return qz.websocket.connect({ retries: 0, delay: 0 }).then(function() {
+                    self._rememberConnection(method, startedAt);
+                }, function(error) {
+                    self.connectionInfo = {
+                        address: remembered ? self._formatAddress(remembered) : '',
+                        method: method,
+                        connectMs: Date.now() - startedAt
+                    };
+                    throw error;
+                });
+            };
+
+            if (!remembered) {
+                return probe('probe');
+            }
+
+            if (window.qzConfig.debugMode) {
+                console.log('QZ Tray: Trying last working connection ' + this._formatAddress(remembered));
+            }
+
+            return qz.websocket.connect({
+                host: remembered.host,
+                usingSecure: remembered.secure,
+                port: {
+                    secure: remembered.secure ? [remembered.port] : [],
+                    insecure: remembered.secure ? [] : [remembered.port]
+                },
+                retries: 0,
+                delay: 0
+            }).then(function() {
+                self._rememberConnection('remembered', startedAt);
+            }, function(error) {
+                if (window.qzConfig.debugMode) {
+                    console.log('QZ Tray: Last working connection failed, probing all ports:', error && error.message);
+                }
+                return probe('remembered, then probe');
+            });
+        },
+
+        /**
+         * The connection parameters stored by the last successful connect,
+         * or null (internal method)
+         */
+        _getRememberedConnection: function() {
+            try {
+                var stored = JSON.parse(window.localStorage.getItem(LAST_CONNECTION_KEY) || 'null');
+                if (stored && typeof stored.host === 'string' && stored.host &&
+                    parseInt(stored.port, 10) > 0 && typeof stored.secure === 'boolean') {
+                    return { host: stored.host, port: parseInt(stored.port, 10), secure: stored.secure };
+                }
+            } catch (e) {
+                // Storage unavailable or value unreadable - probe as usual
+            }
+            return null;
+        },
+
+        /**
+         * Store the parameters of the open connection for next time
+         * (internal method)
+         */
+        _rememberConnection: function(method, startedAt) {
+            var info = qz.websocket.getConnectionInfo ? qz.websocket.getConnectionInfo() : null;
+            if (!info || !info.host || !info.port) {
+                return;
+            }
+
+            var params = { host: info.host, port: info.port, secure: info.socket === 'wss' };
+
+            this.connectionInfo = {
+                address: this._formatAddress(params),
+                method: method,
+                connectMs: Date.now() - startedAt
+            };
+
+            if (window.qzConfig.debugMode) {
+                console.log('QZ Tray: Connected to ' + this.connectionInfo.address + ' (' + method + ') in ' +
+                    this.connectionInfo.connectMs + 'ms');
+            }
+
+            try {
+                window.localStorage.setItem(LAST_CONNECTION_KEY, JSON.stringify(params));
+            } catch (e) {
+                // Storage unavailable - the next page load probes again
+            }
+        },
+
+        /**
+         * e.g. wss://localhost:8181 (internal method)
+         */
+        _formatAddress: function(params) {
+            return (params.secure ? 'wss' : 'ws') + '://' + params.host + ':' + params.port;
         },
 
         /**
@@ -210,6 +608,10 @@
                 if (typeof window.isSecureContext === 'boolean') {
                     payload.secure_context = window.isSecureContext;
                 }
+                if (this.connectionInfo) {
+                    payload.connection = this.connectionInfo.address;
+                    payload.connection_method = this.connectionInfo.method;
+                }
 
                 fetch(this.config.getApiUrl('/log-connection'), {
                     method: 'POST',
@@ -243,6 +645,10 @@
             return {
                 available: this.available,
                 checkInProgress: this.checkInProgress,
+                reconnecting: !!(this.reconnectTimer || this.reconnectInProgress),
+                reconnectAttempts: this.reconnectAttempts,
+                connection: this.connectionInfo,
+                rememberedConnection: this._getRememberedConnection(),
                 statusText: this.available === undefined ? 'Not checked' :
                            this.available ? 'Available' : 'Unavailable'
             };
@@ -6,10 +6,28 @@
 (function(window) {
     'use strict';
 
+    // How long after the change modal is answered "No" the payment may still
+    // be submitted before it is reported as abandoned
+    var ABANDON_AFTER_DECLINE_MS = 120000;
+
+    // Selector health is re-reported from a browser at most this often, unless
+    // a selector starts or stops matching
+    var SELECTOR_HEALTH_REPORT_INTERVAL_MS = 3600000;
+    var SELECTOR_HEALTH_STORAGE_KEY = 'qzTraySelectorHealth';
+
+    // DOM changes are batched for this long before the page is rescanned
+    var RESCAN_DELAY_MS = 100;
+
     function QZButtonManager(drawer, pageDetector) {
         this.drawer = drawer;
         this.pageDetector = pageDetector;
         this.buttonRegistry = new Map();
+        this.pendingTransaction = null;
+        this.observer = null;
+        this.rescanTimer = null;
+        this.skippedElements = new WeakSet();
+        this.matchedSelectors = {};
+        this.pageWatched = false;
     }
 
     QZButtonManager.prototype = {
@@ -30,9 +48,28 @@
                 this._replaceButtonsForConfig(config);
             }.bind(this));
 
+            // Wrap buttons rendered later (DataTables redraws, AJAX modals,
+            // Vue components) as they appear
+            this._observeDynamicButtons(matchedConfigs);
+
+            // The rest watches the page itself, so is only set up once even
+            // when buttons are wrapped again after QZ Tray reconnects
+            if (this.pageWatched) {
+                return;
+            }
+            this.pageWatched = true;
+
+            // Tell the server whether each trigger's selector still finds its
+            // button, so a Koha upgrade that changes the markup shows up on
+            // the configuration page before staff notice
+            this._watchSelectorHealth(matchedConfigs);
+
             // Harden Koha's "change to give" confirmation modal so a payment can't
             // be lost by walking away from it.
             this._hardenChangeConfirmModal();
+
+            // Report payments left uncommitted after the drawer opened
+            this._watchForAbandonedTransactions();
         },
 
         /**
@@ -67,17 +104,166 @@
             }
         },
 
+        /**
+         * Report a drawer opening whose payment was never committed. Each
+         * opening carries a transaction token; once the drawer has opened the
+         * token stays pending until the payment form is submitted. If the page
+         * is left first, or the change modal is answered "No" and nothing is
+         * submitted afterwards, an "abandoned" drawer event is recorded for the
+         * token so it shows in diagnostics and the reconciliation report.
+         */
+        _watchForAbandonedTransactions: function() {
+            var self = this;
+
+            window.addEventListener('pagehide', function() {
+                self._reportAbandonedTransaction('page_left');
+            });
+
+            var modal = document.getElementById('confirm_change_form');
+            if (!modal) {
+                return;
+            }
+
+            var onModalHidden = function() {
+                var pending = self.pendingTransaction;
+                if (!pending || pending.declineTimer) {
+                    return;
+                }
+                // "Yes" submits the form straight away; anything else is a "No"
+                pending.declineTimer = setTimeout(function() {
+                    if (self.pendingTransaction === pending) {
+                        self._reportAbandonedTransaction('change_declined');
+                    }
+                }, ABANDON_AFTER_DECLINE_MS);
+            };
+
+            // Bootstrap 4 fires the modal events through jQuery only
+            if (window.jQuery) {
+                window.jQuery(modal).on('hidden.bs.modal', onModalHidden);
+            } else {
+                modal.addEventListener('hidden.bs.modal', onModalHidden);
+            }
+        },
+
+        /**
+         * Start watching a payment form after the drawer has opened for it
+         */
+        _trackPendingTransaction: function(buttonData, transactionToken) {
+            var self = this;
+            var form = buttonData.original && buttonData.original.closest
+                ? buttonData.original.closest('form')
+                : null;
+
+            // Nothing to commit (e.g. cashup triggers)
+            if (!form) {
+                return;
+            }
+
+            this._clearPendingTransaction();
+            this.pendingTransaction = {
+                token: transactionToken,
+                form: form,
+                description: buttonData.config.description,
+                declineTimer: null
+            };
+
+            if (form.qzCommitWatched) {
+                return;
+            }
+            form.qzCommitWatched = true;
+
+            var markCommitted = function() {
+                if (self.pendingTransaction && self.pendingTransaction.form === form) {
+                    if (window.qzConfig && window.qzConfig.debugMode) {
+                        console.log('QZ Tray: Payment submitted for transaction', self.pendingTransaction.token);
+                    }
+                    self._clearPendingTransaction();
+                }
+            };
+
+            // A submit event only commits the payment if no handler cancelled
+            // it - Koha's own handler does, to show the change-to-give modal.
+            // Listening on window, after the bubble phase, sees the outcome;
+            // a handler that stops propagation cancels the submit too.
+            window.addEventListener('submit', function(e) {
+                if (e.target === form && !e.defaultPrevented) {
+                    markCommitted();
+                }
+            });
+
+            // jQuery's .submit() ends in form.submit() when no handler
+            // cancelled it, and direct form.submit() calls always go through
+            var nativeSubmit = form.submit;
+            form.submit = function() {
+                markCommitted();
+                return nativeSubmit.apply(form, arguments);
+            };
+        },
+
+        /**
+         * Stop watching the pending transaction
+         */
+        _clearPendingTransaction: function() {
+            if (this.pendingTransaction && this.pendingTransaction.declineTimer) {
+                clearTimeout(this.pendingTransaction.declineTimer);
+            }
+            this.pendingTransaction = null;
+        },
+
+        /**
+         * Record the pending transaction, if any, as abandoned
+         */
+        _reportAbandonedTransaction: function(cause) {
+            var pending = this.pendingTransaction;
+            if (!pending) {
+                return;
+            }
+            this._clearPendingTransaction();
+
+            console.warn('QZ Tray: Payment not committed after the drawer opened (' + cause + ')');
+
+            this.drawer.recordAbandonedTransaction({
+                description: pending.description,
+                transactionToken: pending.token,
+                reason: cause
+            });
+        },
+
+        /**
+         * Generate a token tying a drawer opening to its payment
+         */
+        _generateTransactionToken: function() {
+            if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+                return window.crypto.randomUUID();
+            }
+            return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+        },
+
         /**
          * Replace buttons based on page configuration
          */
         _replaceButtonsForConfig: function(config) {
             var self = this;
-            var elements = document.querySelectorAll(config.selector);
+            var elements;
+            try {
+                elements = document.querySelectorAll(config.selector);
+            } catch (e) {
+                console.error('QZ Tray: Invalid selector for', config.description, config.selector);
+                return;
+            }
 
             elements.forEach(function(element) {
+                // Already wrapped or skipped on an earlier scan, or one of our
+                // own drawer buttons (they copy the original's classes)
+                if (self._isWrapped(element) || self.skippedElements.has(element) ||
+                    (element.id && element.id.indexOf('qz-drawer-button-') === 0)) {
+                    return;
+                }
+
                 // Check if this is a writeoff operation that should be skipped
                 if (config.skipIfWriteoff && self._isWriteoffButton(element)) {
                     console.log('QZ Tray: Skipping writeoff button for', config.description);
+                    self.skippedElements.add(element);
                     return;
                 }
 
@@ -86,6 +272,7 @@
                     if (window.qzConfig && window.qzConfig.debugMode) {
                         console.log('QZ Tray: Skipping button - register does not match session register for', config.description);
                     }
+                    self.skippedElements.add(element);
                     return;
                 }
 
@@ -93,6 +280,239 @@
             });
         },
 
+        /**
+         * Check whether an element is already wrapped by a registered button
+         */
+        _isWrapped: function(element) {
+            return !!(element.qzButtonId && this.buttonRegistry.has(element.qzButtonId));
+        },
+
+        /**
+         * Watch for trigger buttons added or replaced after the page loaded
+         * and wrap them as they appear. Mutations are batched, and only
+         * element insertions and removals cause a rescan.
+         */
+        _observeDynamicButtons: function(configs) {
+            var self = this;
+            if (typeof MutationObserver === 'undefined' || !document.body || this.observer) {
+                return;
+            }
+
+            this.observer = new MutationObserver(function(mutations) {
+                var elementsChanged = mutations.some(function(mutation) {
+                    return Array.prototype.some.call(mutation.addedNodes, function(node) {
+                        return node.nodeType === 1;
+                    }) || Array.prototype.some.call(mutation.removedNodes, function(node) {
+                        return node.nodeType === 1;
+                    });
+                });
+                if (!elementsChanged || self.rescanTimer) {
+                    return;
+                }
+                self.rescanTimer = setTimeout(function() {
+                    self.rescanTimer = null;
+                    self._rescan(configs);
+                }, RESCAN_DELAY_MS);
+            });
+
+            this.observer.observe(document.body, { childList: true, subtree: true });
+        },
+
+        /**
+         * Stop watching for dynamically inserted buttons
+         */
+        stopObserving: function() {
+            if (this.observer) {
+                this.observer.disconnect();
+                this.observer = null;
+            }
+            if (this.rescanTimer) {
+                clearTimeout(this.rescanTimer);
+                this.rescanTimer = null;
+            }
+        },
+
+        /**
+         * Drop buttons whose original has left the page, then wrap any new ones
+         */
+        _rescan: function(configs) {
+            this._pruneDetachedButtons();
+
+            configs.forEach(function(config) {
+                this._replaceButtonsForConfig(config);
+            }.bind(this));
+
+            this._checkSelectorHealth(configs);
+        },
+
+        /**
+         * Forget buttons whose original element was removed from the page
+         * (e.g. a DataTables redraw), removing our drawer button alongside it
+         */
+        _pruneDetachedButtons: function() {
+            var self = this;
+
+            this.buttonRegistry.forEach(function(buttonData, buttonId) {
+                if (document.contains(buttonData.original)) {
+                    return;
+                }
+                if (buttonData.statusMessage) {
+                    buttonData.statusMessage.remove();
+                }
+                if (buttonData.drawer) {
+                    buttonData.drawer.remove();
+                }
+                delete buttonData.original.qzButtonId;
+                self.buttonRegistry.delete(buttonId);
+
+                if (window.qzConfig && window.qzConfig.debugMode) {
+                    console.log('QZ Tray: Button removed from page for', buttonData.config.description, 'with ID', buttonId);
+                }
+            });
+        },
+
+        /**
+         * Report selectors as they are first seen matching during this visit,
+         * and those that never matched when the page is left. Buttons can
+         * appear long after load, so a miss is only known at the end. Many
+         * buttons are legitimately absent (paycollect shows one of its two
+         * forms), so a miss is only reported when the config's anchor is
+         * on the page.
+         */
+        _watchSelectorHealth: function(configs) {
+            var self = this;
+
+            this._checkSelectorHealth(configs);
+
+            window.addEventListener('pagehide', function() {
+                self._reportSelectorHealth(configs.filter(function(config) {
+                    return !self.matchedSelectors[config.urlPattern + ' ' + config.selector] &&
+                        self._anchorPresent(config);
+                }).map(function(config) {
+                    return { config: config, matched: 0 };
+                }));
+            });
+        },
+
+        /**
+         * Whether a config names an anchor that is on the page
+         */
+        _anchorPresent: function(config) {
+            if (!config.anchorSelector) {
+                return false;
+            }
+            try {
+                return document.querySelector(config.anchorSelector) !== null;
+            } catch (e) {
+                return false; // An invalid selector matches nothing
+            }
+        },
+
+        /**
+         * Report selectors matching for the first time during this visit
+         */
+        _checkSelectorHealth: function(configs) {
+            var self = this;
+            var found = [];
+
+            configs.forEach(function(config) {
+                var key = config.urlPattern + ' ' + config.selector;
+                if (self.matchedSelectors[key]) {
+                    return;
+                }
+
+                var matched = 0;
+                try {
+                    matched = document.querySelectorAll(config.selector).length;
+                } catch (e) {
+                    // An invalid selector matches nothing
+                }
+                if (matched) {
+                    self.matchedSelectors[key] = true;
+                    found.push({ config: config, matched: matched });
+                }
+            });
+
+            this._reportSelectorHealth(found);
+        },
+
+        /**
+         * Report to the server how many elements page configs' selectors
+         * matched on this page. Results are throttled per browser: a selector
+         * is reported again only when it starts or stops matching, or after
+         * SELECTOR_HEALTH_REPORT_INTERVAL_MS.
+         *
+         * @param {Array} checks - [{ config, matched }]
+         */
+        _reportSelectorHealth: function(checks) {
+            try {
+                var now = Date.now();
+                var reported = {};
+                try {
+                    reported = JSON.parse(window.localStorage.getItem(SELECTOR_HEALTH_STORAGE_KEY) || '{}') || {};
+                } catch (e) {
+                    reported = {};
+                }
+
+                var results = [];
+                checks.forEach(function(check) {
+                    var config = check.config;
+                    var matched = check.matched;
+                    var key = config.urlPattern + ' ' + config.selector;
+                    var previous = reported[key];
+                    if (previous && previous.matched === (matched > 0) &&
+                        now - previous.at < SELECTOR_HEALTH_REPORT_INTERVAL_MS) {
+                        return;
+                    }
+
+                    reported[key] = { matched: matched > 0, at: now };
+                    results.push({
+                        url_pattern: String(config.urlPattern),
+                        selector: config.selector,
+                        matched: matched
+                    });
+
+                    if (!matched) {
+                        console.warn('QZ Tray: Selector matched nothing for', config.description, config.selector);
+                    }
+                });
+
+                if (!results.length) {
+                    return;
+                }
+
+                try {
+                    window.localStorage.setItem(SELECTOR_HEALTH_STORAGE_KEY, JSON.stringify(reported));
+                } catch (e) {
+                    // Storage full or disabled: report every page load instead
+                }
+
+                // keepalive lets misses reported on pagehide reach the server
+                fetch(this.drawer.config.getApiUrl('/selector-health'), {
+                    method: 'POST',
+                    keepalive: true,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json'
+                    },
+                    credentials: 'same-origin',
+                    body: JSON.stringify({
+                        page_url: window.location.pathname || 'unknown',
+                        results: results
+                    })
+                }).catch(function(error) {
+                    if (window.qzConfig && window.qzConfig.debugMode) {
+                        console.log('QZ Tray: Failed to report selector health:', error);
+                    }
+                });
+            } catch (e) {
+                // Telemetry must never interfere with normal operation
+                if (window.qzConfig && window.qzConfig.debugMode) {
+                    console.log('QZ Tray: Error while reporting selector health:', e);
+                }
+            }
+        },
+
         /**
          * Check if a button is for a writeoff operation
          */
@@ -159,6 +579,7 @@
             var originalType = originalButton.type || 'button';
 
             // Store original button state
+            originalButton.qzButtonId = buttonId;
             this.buttonRegistry.set(buttonId, {
                 original: originalButton,
                 drawer: null,
@@ -191,9 +612,133 @@
             buttonData.statusMessage = statusMessage;
             this.buttonRegistry.set(buttonId, buttonData);
 
+            // Enter in a field, requestSubmit() and form.submit() bypass the
+            // button, so guard the form's own submit path too
+            this._interceptFormSubmit(originalButton.closest('form'));
+
             console.log('QZ Tray: Button replaced for', config.description, 'with ID', buttonId);
         },
 
+        /**
+         * Run the drawer sequence for submissions of a trigger button's form
+         * that don't come through the drawer button: the submission is held,
+         * the same validation, lock and drawer sequence as a click runs, and
+         * the held submission is then let through.
+         *
+         * Once the sequence has let a submission through after the drawer,
+         * later submissions of the form (e.g. Koha's change confirmation
+         * resubmitting it) pass straight through so the drawer isn't opened
+         * twice for one payment. A pass-through for a non-cash payment only
+         * lets that one submission through.
+         */
+        _interceptFormSubmit: function(form) {
+            var self = this;
+            if (!form || form.qzSubmitIntercepted) {
+                return;
+            }
+            form.qzSubmitIntercepted = true;
+
+            form.addEventListener('submit', function(e) {
+                // Another submit button of the form (not a trigger) is left alone
+                if (e.submitter && !self._isWrapped(e.submitter)) {
+                    return;
+                }
+
+                var buttonId = self._buttonIdForForm(form, e.submitter);
+                if (!buttonId || self._consumeSubmitAllowance(form)) {
+                    return;
+                }
+
+                e.preventDefault();
+                e.stopImmediatePropagation();
+
+                if (window.qzConfig && window.qzConfig.debugMode) {
+                    console.log('QZ Tray: Form submission intercepted for drawer button', buttonId);
+                }
+
+                var submitter = e.submitter;
+                self._handleDrawerButtonClick(buttonId, function() {
+                    self._resubmit(form, submitter);
+                });
+            }, true);
+
+            var nativeSubmit = form.submit;
+            form.submit = function() {
+                var args = arguments;
+                var buttonId = self._buttonIdForForm(form, null);
+                if (!buttonId || self._consumeSubmitAllowance(form)) {
+                    return nativeSubmit.apply(form, args);
+                }
+
+                if (window.qzConfig && window.qzConfig.debugMode) {
+                    console.log('QZ Tray: form.submit() intercepted for drawer button', buttonId);
+                }
+
+                // Resubmit through form.submit so the allowance is used up
+                self._handleDrawerButtonClick(buttonId, function() {
+                    form.submit.apply(form, args);
+                });
+            };
+        },
+
+        /**
+         * Find the registered button a form submission belongs to: the one
+         * that submitted it, else the first registered button in the form
+         */
+        _buttonIdForForm: function(form, submitter) {
+            var match = null;
+
+            this.buttonRegistry.forEach(function(buttonData, buttonId) {
+                if (match !== null && buttonData.original !== submitter) {
+                    return;
+                }
+                if (buttonData.original === submitter ||
+                    (buttonData.original.closest && buttonData.original.closest('form') === form)) {
+                    match = buttonId;
+                }
+            });
+
+            return match;
+        },
+
+        /**
+         * Let the next submission of a form through, once or from now on
+         */
+        _allowSubmit: function(form, once) {
+            if (form) {
+                form.qzSubmitAllowance = once ? 'once' : 'always';
+            }
+        },
+
+        /**
+         * Check, and use up a one-off, permission to submit a form
+         */
+        _consumeSubmitAllowance: function(form) {
+            if (form.qzSubmitAllowance === 'once') {
+                form.qzSubmitAllowance = null;
+                return true;
+            }
+            return form.qzSubmitAllowance === 'always';
+        },
+
+        /**
+         * Re-issue a held submission so Koha's own submit handlers and
+         * validation run on it as usual
+         */
+        _resubmit: function(form, submitter) {
+            if (typeof form.requestSubmit === 'function') {
+                try {
+                    form.requestSubmit(submitter || undefined);
+                    return;
+                } catch (e) {
+                    // The submitter isn't a submit button of this form
+                    form.requestSubmit();
+                    return;
+                }
+            }
+            form.submit();
+        },
+
         /**
          * Create status message element
          */
@@ -233,9 +778,13 @@
         },
 
         /**
-         * Handle drawer button click
+         * Handle drawer button click, or an intercepted form submission
+         *
+         * @param {number} buttonId
+         * @param {Function} [resume] - continues an intercepted submission;
+         *        without it the original button is clicked (or shown) instead
          */
-        _handleDrawerButtonClick: function(buttonId) {
+        _handleDrawerButtonClick: function(buttonId, resume) {
             var self = this;
             var buttonData = this.buttonRegistry.get(buttonId);
             if (!buttonData) {
@@ -243,6 +792,25 @@
                 return;
             }
 
+            // Card and other non-cash payments, and clicks where the config's
+            // conditions don't hold, don't need the drawer: hand the click
+            // straight to the original Koha button, which runs its own
+            // validation and submits as if the plugin weren't there.
+            if (!this._isCashPayment(buttonData)) {
+                if (window.qzConfig && window.qzConfig.debugMode) {
+                    console.log('QZ Tray: Non-cash payment type, submitting without opening drawer for', buttonData.config.description);
+                }
+                this._submitWithoutDrawer(buttonData, resume);
+                return;
+            }
+            if (!this.pageDetector.conditionsMet(buttonData.config, buttonData.original)) {
+                if (window.qzConfig && window.qzConfig.debugMode) {
+                    console.log('QZ Tray: Conditions not met, submitting without opening drawer for', buttonData.config.description);
+                }
+                this._submitWithoutDrawer(buttonData, resume);
+                return;
+            }
+
             // Gate the drawer on payment-form validation. The native Koha submit
             // button (which the drawer button replaces) is what normally triggers
             // jQuery Validate / HTML5 required checks. If we open the drawer first
@@ -258,8 +826,10 @@
             }
 
             // Try to acquire transaction lock
-            if (!QZTransactionLock.lock()) {
-                console.warn('QZ Tray: Transaction already in progress, ignoring button click');
+            var lease = QZTransactionLock.lock(buttonData.config.description);
+            if (!lease) {
+                console.warn('QZ Tray: Transaction already in progress (' + QZTransactionLock.getOwner() +
+                    '), ignoring button click');
                 return;
             }
 
@@ -269,8 +839,8 @@
             if (qzAvailable === false) {
                 // QZ is known to be unavailable, proceed immediately without trying to open drawer
                 console.warn('QZ Tray: Not available, proceeding with workflow immediately');
-                QZTransactionLock.unlock();
-                this._proceedWithWorkflow(buttonData);
+                QZTransactionLock.unlock(lease);
+                this._proceedWithWorkflow(buttonData, resume);
                 return;
             }
 
@@ -281,11 +851,17 @@
             buttonData.drawer.disabled = true;
             buttonData.drawer.value = 'Processing...';
 
-            this.drawer.openDrawer()
+            var transactionToken = this._generateTransactionToken();
+
+            this.drawer.openDrawer({
+                description: buttonData.config.description,
+                transactionToken: transactionToken
+            })
                 .then(function() {
                     // On success, hide status message and proceed with workflow
                     buttonData.statusMessage.style.display = 'none';
-                    self._proceedWithWorkflow(buttonData);
+                    self._trackPendingTransaction(buttonData, transactionToken);
+                    self._proceedWithWorkflow(buttonData, resume);
                 })
                 .catch(function(error) {
                     console.error('QZ Tray: Drawer operation failed:', error);
@@ -294,18 +870,44 @@
                     // This allows the user to continue with their Koha workflow even if the till drawer fails
                     setTimeout(function() {
                         buttonData.statusMessage.style.display = 'none';
-                        self._proceedWithWorkflow(buttonData);
+                        self._proceedWithWorkflow(buttonData, resume);
                         console.log('QZ Tray: Proceeding with workflow despite drawer error');
                     }, 500); // 1/2 second delay to allow user to see the error message
                 })
                 .finally(function() {
                     // Always unlock and restore button state
-                    QZTransactionLock.unlock();
+                    QZTransactionLock.unlock(lease);
                     buttonData.drawer.disabled = false;
                     buttonData.drawer.value = buttonData.config.drawerButtonText;
                 });
         },
 
+        /**
+         * Check whether the payment behind a replaced button is taken in a
+         * cash payment type (qzConfig.cashPaymentTypes). Buttons without a
+         * payment-type rule, pages without a payment type field, an empty
+         * selection and an empty cash list all count as cash, so the drawer
+         * opens as it did before payment types were considered.
+         */
+        _isCashPayment: function(buttonData) {
+            var selector = buttonData.config.paymentTypeSelector;
+            var cashTypes = (window.qzConfig && window.qzConfig.cashPaymentTypes) || [];
+            if (!selector || !cashTypes.length) {
+                return true;
+            }
+
+            var scope = buttonData.original.closest('form') || document;
+            var field = scope.querySelector(selector);
+            if (field && field.type === 'radio') {
+                field = scope.querySelector(selector + ':checked');
+            }
+            if (!field || !field.value) {
+                return true;
+            }
+
+            return cashTypes.indexOf(field.value) !== -1;
+        },
+
         /**
          * Validate the payment form associated with a replaced button.
          *
@@ -354,12 +956,25 @@
         /**
          * Proceed with workflow by hiding drawer button and showing original
          */
-        _proceedWithWorkflow: function(buttonData) {
+        _proceedWithWorkflow: function(buttonData, resume) {
             buttonData.drawer.style.display = 'none';
             buttonData.original.style.display = '';
 
-            // Check if auto-submit is enabled
-            if (window.qzConfig && window.qzConfig.autoSubmitAfterDrawer) {
+            // The drawer sequence has run for this payment: let the form submit
+            this._allowSubmit(buttonData.original.closest('form'), false);
+
+            QZEvents.emit('workflow-proceeded', {
+                description: buttonData.config.description,
+                autoSubmit: !!(resume || (window.qzConfig && window.qzConfig.autoSubmitAfterDrawer))
+            });
+
+            if (resume) {
+                // An intercepted submission continues where it left off
+                if (window.qzConfig && window.qzConfig.debugMode) {
+                    console.log('QZ Tray: Continuing intercepted form submission');
+                }
+                resume();
+            } else if (window.qzConfig && window.qzConfig.autoSubmitAfterDrawer) {
                 // Auto-submit: Trigger click on the original button to continue with Koha workflow
                 if (window.qzConfig.debugMode) {
                     console.log('QZ Tray: Auto-submitting transaction');
@@ -373,6 +988,19 @@
             }
         },
 
+        /**
+         * Submit a payment that doesn't need the drawer, letting just this one
+         * submission past the form interception
+         */
+        _submitWithoutDrawer: function(buttonData, resume) {
+            this._allowSubmit(buttonData.original.closest('form'), true);
+            if (resume) {
+                resume();
+            } else {
+                buttonData.original.click();
+            }
+        },
+
         /**
          * Generate unique button ID
          */
@@ -384,6 +1012,8 @@
          * Reset button states (useful for testing or cleanup)
          */
         resetButtons: function() {
+            this.stopObserving();
+
             this.buttonRegistry.forEach(function(buttonData, buttonId) {
                 if (buttonData.statusMessage) {
                     buttonData.statusMessage.remove();
@@ -393,6 +1023,7 @@
                 }
                 buttonData.original.style.display = '';
                 buttonData.original.className = buttonData.original.className.replace(' qz-original-button-' + buttonId, '');
+                delete buttonData.original.qzButtonId;
             });
 
             this.buttonRegistry.clear();
@@ -417,6 +1048,8 @@
             return {
                 totalButtons: this.buttonRegistry.size,
                 buttons: buttons,
+                pendingTransaction: this.pendingTransaction ? this.pendingTransaction.token : null,
+                observingDynamicButtons: !!this.observer,
                 pageSupported: this.pageDetector.isCurrentPageSupported()
             };
         }
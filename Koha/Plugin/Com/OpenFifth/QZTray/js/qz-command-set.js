@@ -0,0 +1,158 @@
+/**
+ * QZ Tray Printer Command Sets
+ * Builds drawer kicks and receipt formatting in the command dialect a printer
+ * understands: ESC/POS, Star Line or StarPRNT
+ */
+
+(function(window) {
+    'use strict';
+
+    function chr(i) {
+        return String.fromCharCode(i);
+    }
+
+    var ESC = 27;
+    var GS = 29;
+    var BEL = 7;
+    var SUB = 26;
+
+    // Pulse used when a register overrides the pin but not the timings
+    var DEFAULT_PULSE_MS = { on: 200, off: 200 };
+
+    function clampUnits(ms, unitMs) {
+        return Math.min(255, Math.max(1, Math.round(ms / unitMs)));
+    }
+
+    var DIALECTS = {
+        escpos: {
+            label: 'ESC/POS',
+
+            /**
+             * ESC p m t1 t2 - pulse time in 2ms units. Values that aren't
+             * overridden are kept from the printer's own ESC p code.
+             */
+            drawerKick: function(settings, baseBytes) {
+                var isPulseCommand = function(code) {
+                    return code && code.length === 5 && code[0] === ESC && code[1] === 112;
+                };
+
+                var command = isPulseCommand(baseBytes) ? baseBytes.slice() : [ESC, 112, 48, 55, 121];
+                if (settings.pin === 2 || settings.pin === 5) {
+                    // Keep the printer's own form of m: 0/1 or ASCII '0'/'1'
+                    command[2] = (command[2] >= 48 ? 48 : 0) + (settings.pin === 5 ? 1 : 0);
+                }
+                if (settings.pulse_on) {
+                    command[3] = clampUnits(settings.pulse_on, 2);
+                }
+                if (settings.pulse_off) {
+                    command[4] = clampUnits(settings.pulse_off, 2);
+                }
+                return command;
+            },
+
+            receipt: {
+                init: chr(ESC) + chr(64),
+                codePage: chr(ESC) + chr(116) + chr(19),          // PC858 (Latin-1 + euro)
+                alignLeft: chr(ESC) + chr(97) + chr(0),
+                alignCenter: chr(ESC) + chr(97) + chr(1),
+                boldOn: chr(ESC) + chr(69) + chr(1),
+                boldOff: chr(ESC) + chr(69) + chr(0),
+                cut: chr(GS) + chr(86) + chr(66) + chr(0)         // Feed to cutter, partial cut
+            }
+        },
+
+        star_line: {
+            label: 'Star Line',
+
+            /**
+             * ESC BEL n1 n2 sets the pulse (10ms units), then BEL fires the
+             * drawer on pin 2 or SUB the drawer on pin 5
+             */
+            drawerKick: function(settings) {
+                var command = [];
+                if (settings.pulse_on || settings.pulse_off) {
+                    command.push(ESC, BEL,
+                        clampUnits(settings.pulse_on || DEFAULT_PULSE_MS.on, 10),
+                        clampUnits(settings.pulse_off || DEFAULT_PULSE_MS.off, 10));
+                }
+                command.push(settings.pin === 5 ? SUB : BEL);
+                return command;
+            },
+
+            receipt: {
+                init: chr(ESC) + chr(64),
+                codePage: chr(ESC) + chr(GS) + chr(116) + chr(4), // Code page 858
+                alignLeft: chr(ESC) + chr(GS) + chr(97) + chr(0),
+                alignCenter: chr(ESC) + chr(GS) + chr(97) + chr(1),
+                boldOn: chr(ESC) + chr(69),
+                boldOff: chr(ESC) + chr(70),
+                cut: chr(ESC) + chr(100) + chr(3)                 // Feed to cutter, partial cut
+            }
+        },
+
+        starprnt: {
+            label: 'StarPRNT',
+
+            /**
+             * ESC GS BEL m n1 n2 - m is 1 for pin 2 or 2 for pin 5, pulse in
+             * 10ms units
+             */
+            drawerKick: function(settings, baseBytes) {
+                var isPulseCommand = function(code) {
+                    return code && code.length === 6 && code[0] === ESC && code[1] === GS && code[2] === BEL;
+                };
+
+                var command = isPulseCommand(baseBytes) ? baseBytes.slice() :
+                    [ESC, GS, BEL, 1, clampUnits(DEFAULT_PULSE_MS.on, 10), clampUnits(DEFAULT_PULSE_MS.off, 10)];
+                if (settings.pin === 2 || settings.pin === 5) {
+                    command[3] = settings.pin === 5 ? 2 : 1;
+                }
+                if (settings.pulse_on) {
+                    command[4] = clampUnits(settings.pulse_on, 10);
+                }
+                if (settings.pulse_off) {
+                    command[5] = clampUnits(settings.pulse_off, 10);
+                }
+                return command;
+            },
+
+            // StarPRNT shares the Star Line formatting commands
+            receipt: null
+        }
+    };
+    DIALECTS.starprnt.receipt = DIALECTS.star_line.receipt;
+
+    function QZCommandSet(dialect) {
+        this.dialect = DIALECTS[dialect] ? dialect : 'escpos';
+        this.commands = DIALECTS[this.dialect];
+    }
+
+    QZCommandSet.prototype = {
+        /**
+         * Build a drawer kick from a register's pin/pulse overrides, keeping
+         * whatever the overrides leave unset from the printer's own code
+         */
+        drawerKick: function(settings, baseBytes) {
+            return this.commands.drawerKick(settings || {}, baseBytes);
+        },
+
+        /**
+         * Receipt formatting commands: init, codePage, alignLeft, alignCenter,
+         * boldOn, boldOff and cut
+         */
+        receiptCommands: function() {
+            return this.commands.receipt;
+        },
+
+        /**
+         * Human-readable dialect name for logging
+         */
+        getLabel: function() {
+            return this.commands.label;
+        }
+    };
+
+    // Export to global scope
+    window.QZCommandSet = QZCommandSet;
+
+})(window);
@@ -9,6 +9,8 @@
     function QZConfig(config) {
         this.apiBase = config.apiBase || '';
         this.registerMappings = config.registerMappings || {};
+        this.registerDrawerSettings = config.registerDrawerSettings || {};
+        this.registerSerialDrawers = config.registerSerialDrawers || {};
         this.currentRegister = config.currentRegister || '';
         this.initialized = false;
     }
@@ -116,6 +118,29 @@
             return '';
         },
 
+        /**
+         * Get the drawer pin/pulse overrides for the current register, if any
+         */
+        getDrawerSettings: function() {
+            var activeRegister = this.getCurrentRegister();
+            if (activeRegister && this.registerDrawerSettings[activeRegister]) {
+                return this.registerDrawerSettings[activeRegister];
+            }
+            return null;
+        },
+
+        /**
+         * Get the serial-port drawer for the current register, if it has one.
+         * Returns { port, baud_rate, bytes } or null.
+         */
+        getSerialDrawer: function() {
+            var activeRegister = this.getCurrentRegister();
+            if (activeRegister && this.registerSerialDrawers[activeRegister]) {
+                return this.registerSerialDrawers[activeRegister];
+            }
+            return null;
+        },
+
         /**
          * Check if configuration is valid
          */
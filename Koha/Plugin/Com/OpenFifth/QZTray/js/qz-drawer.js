@@ -6,19 +6,38 @@
 (function(window) {
     'use strict';
 
-    function QZDrawer(config, messaging, auth, availability, picker) {
+    // With queueing on (qzConfig.queueDrawerRequests), at most this many
+    // drawer requests wait their turn; further ones are rejected
+    var QUEUE_MAX = 10;
+
+    // How often a queued request looks again while another tab holds the drawer
+    var QUEUE_RETRY_MS = 500;
+
+    function QZDrawer(config, messaging, auth, availability, picker, network) {
+        var self = this;
+
         this.config = config;
         this.messaging = messaging;
         this.auth = auth;
         this.availability = availability;
         this.picker = picker;
-        this.operationInProgress = false;
+        this.network = network;
+        this.queue = [];
+        this.queueTimer = null;
+        this.acquiringForQueue = false;
+
+        // One drawer operation at a time across the workstation's tabs
+        this.operationLock = QZTransactionLock.create('drawer', true);
+        this.operationLock.onRelease = function() {
+            self._runNextQueued();
+        };
     }
 
     QZDrawer.prototype = {
         /**
          * Get drawer control code based on printer model
-         * Uses printer support mapping from config for case-insensitive matching
+         * Uses printer support mapping from config for case-insensitive matching,
+         * then applies any pin/pulse overrides configured for the current register
          */
         getDrawerCode: function(printer) {
             var chr = function(i) {
@@ -34,8 +53,8 @@
             };
 
             // Get default code
-            var defaultBytes = window.qzConfig.printerSupport._default.bytes;
-            var defaultCode = [bytesToString(defaultBytes)];
+            var defaultBytes = window.qzConfig.printerSupport.defaultCode.bytes;
+            var defaultCode = [bytesToString(this._applyDrawerSettings(defaultBytes, 'escpos'))];
 
             // Handle case where printer is undefined or null
             if (!printer || typeof printer !== 'string') {
@@ -45,21 +64,12 @@
                 return defaultCode;
             }
 
-            // Case-insensitive matching against supported printer patterns
-            var printerLower = printer.toLowerCase();
-            var supportMapping = window.qzConfig.printerSupport;
-
-            for (var pattern in supportMapping) {
-                if (pattern === '_default') continue; // Skip default entry
-
-                var patternLower = pattern.toLowerCase();
-                if (printerLower.indexOf(patternLower) !== -1) {
-                    var bytes = supportMapping[pattern].bytes;
-                    if (window.qzConfig.debugMode) {
-                        console.log('Matched printer pattern:', pattern, '- Using drawer code:', supportMapping[pattern].description);
-                    }
-                    return [bytesToString(bytes)];
+            var profile = this._findPrinterProfile(printer);
+            if (profile) {
+                if (window.qzConfig.debugMode) {
+                    console.log('Matched printer pattern:', profile.pattern, '- Using drawer code:', profile.description);
                 }
+                return [bytesToString(this._applyDrawerSettings(profile.bytes, profile.dialect))];
             }
 
             // No match found, use default
@@ -69,40 +79,265 @@
             return defaultCode;
         },
 
+        /**
+         * Build the drawer kick from the current register's pin/pulse
+         * overrides, in the printer's command dialect. Values that aren't
+         * overridden are taken from the printer's own code.
+         * Returns the bytes unchanged when the register has no overrides.
+         */
+        _applyDrawerSettings: function(bytes, dialect) {
+            var settings = this.config.getDrawerSettings();
+            if (!settings) {
+                return bytes;
+            }
+
+            var commandSet = new QZCommandSet(dialect);
+            var command = commandSet.drawerKick(settings, bytes);
+
+            if (window.qzConfig.debugMode) {
+                console.log('QZ Tray: Register drawer settings applied:', settings, '- Using', commandSet.getLabel(), 'drawer code:', command);
+            }
+            return command;
+        },
+
+        /**
+         * Get the command dialect (escpos, star_line or starprnt) for a printer
+         */
+        getPrinterDialect: function(printer) {
+            var profile = this._findPrinterProfile(printer);
+            return (profile && profile.dialect) || 'escpos';
+        },
+
         /**
          * Test whether a printer name matches a supported printer pattern.
-         * Mirrors getDrawerCode's case-insensitive matching.
+         * Uses the same matching as getDrawerCode. Network targets (host:port)
+         * are always supported and use the default drawer code.
          */
         isSupportedPrinter: function(printer) {
+            if (this.network && this.network.isNetworkTarget(printer)) {
+                return true;
+            }
+            return this._findPrinterProfile(printer) !== null;
+        },
+
+        /**
+         * Find the printer support entry that best matches a printer name.
+         * Mirrors the plugin's _get_printer_drawer_code: highest priority wins,
+         * then an exact match over a substring/regex match, then the longest
+         * matched text, then the order the entries were configured in.
+         */
+        _findPrinterProfile: function(printer) {
             if (!printer || typeof printer !== 'string') {
-                return false;
+                return null;
+            }
+
+            var patterns = (window.qzConfig.printerSupport || {}).patterns || [];
+            var best = null;
+            var bestRank = null;
+
+            for (var p = 0; p < patterns.length; p++) {
+                var entry = patterns[p];
+                var matchedLength = this._matchPrinterPattern(entry.pattern, entry.match, printer);
+                if (matchedLength === null) continue;
+
+                var rank = [
+                    entry.priority || 0,
+                    entry.match === 'exact' ? 1 : 0,
+                    matchedLength
+                ];
+
+                // Strictly better only, so configuration order breaks ties
+                var better = (best === null);
+                for (var i = 0; i < rank.length && !better; i++) {
+                    if (rank[i] < bestRank[i]) break;
+                    if (rank[i] > bestRank[i]) better = true;
+                }
+
+                if (better) {
+                    best = {
+                        pattern: entry.pattern,
+                        bytes: entry.bytes,
+                        description: entry.description,
+                        dialect: entry.dialect || 'escpos'
+                    };
+                    bestRank = rank;
+                }
+            }
+
+            return best;
+        },
+
+        /**
+         * Match a printer name against one pattern, case-insensitively.
+         * Returns the length of the matched text, or null for no match.
+         */
+        _matchPrinterPattern: function(pattern, mode, printer) {
+            if (mode === 'exact') {
+                return printer.toLowerCase() === pattern.toLowerCase() ? printer.length : null;
             }
-            var printerLower = printer.toLowerCase();
-            var supportMapping = window.qzConfig.printerSupport;
-            for (var pattern in supportMapping) {
-                if (pattern === '_default') continue;
-                if (printerLower.indexOf(pattern.toLowerCase()) !== -1) {
-                    return true;
+
+            if (mode === 'regex') {
+                var found;
+                try {
+                    found = new RegExp(pattern, 'i').exec(printer);
+                } catch (e) {
+                    if (window.qzConfig.debugMode) {
+                        console.log('QZ Tray: Invalid printer pattern regex:', pattern, e);
+                    }
+                    return null;
                 }
+                return found ? found[0].length : null;
             }
-            return false;
+
+            return printer.toLowerCase().indexOf(pattern.toLowerCase()) !== -1 ? pattern.length : null;
         },
 
         /**
-         * Open cash drawer with comprehensive error handling
+         * Open cash drawer with comprehensive error handling.
+         * Every attempt is recorded in the server-side drawer audit log.
+         *
+         * @param {Object} [context] What triggered the opening
+         * @param {string} [context.description] e.g. the page config description
+         * @param {string} [context.eventType] 'no_sale' outside a payment
+         * @param {string} [context.reason] no-sale reason
+         * @param {string} [context.note] no-sale details
+         * @param {string} [context.authorisationToken] supervisor override
+         * @param {string} [context.transactionToken] ties the opening to its payment
          */
-        openDrawer: function() {
+        openDrawer: function(context) {
             var self = this;
+            context = context || {};
+
+            // One operation at a time, here or in another tab. Requests
+            // already waiting go first.
+            var acquired = this.queue.length ? Promise.resolve(false)
+                : this.operationLock.acquire(this._lockOwner(context));
+
+            return acquired.then(function(lease) {
+                if (!lease) {
+                    if (window.qzConfig.queueDrawerRequests && self.queue.length < QUEUE_MAX) {
+                        return self._enqueue(context);
+                    }
+                    if (window.qzConfig.debugMode) {
+                        console.log('Drawer operation already in progress, skipping');
+                    }
+                    throw new Error('Operation already in progress');
+                }
+
+                return self._openDrawerNow(context, lease);
+            });
+        },
+
+        /**
+         * Who a drawer request is for, as recorded on the lock (internal method)
+         */
+        _lockOwner: function(context) {
+            return context.description || (context.eventType === 'no_sale' ? 'No-sale' : 'Drawer request');
+        },
+
+        /**
+         * Wait for the drawer to be free (internal method)
+         */
+        _enqueue: function(context) {
+            var self = this;
+
+            return new Promise(function(resolve, reject) {
+                self.queue.push({
+                    context: context,
+                    queuedAt: Date.now(),
+                    resolve: resolve,
+                    reject: reject
+                });
 
-            // Prevent duplicate operations
-            if (this.operationInProgress) {
                 if (window.qzConfig.debugMode) {
-                    console.log('Drawer operation already in progress, skipping');
+                    console.log('QZ Tray: Drawer busy (' + self.operationLock.getOwner() + '), queued ' +
+                        self._lockOwner(context) + ' at position ' + self.queue.length);
                 }
-                return Promise.reject(new Error('Operation already in progress'));
+
+                // Nothing will release the lock in this tab if another tab has it
+                if (!self.operationLock.getOwner()) {
+                    self._runNextQueued();
+                }
+            });
+        },
+
+        /**
+         * Start the first queued request once the drawer is free (internal method)
+         */
+        _runNextQueued: function() {
+            var self = this;
+
+            if (this.queueTimer) {
+                clearTimeout(this.queueTimer);
+                this.queueTimer = null;
+            }
+
+            if (!this.queue.length || this.acquiringForQueue) {
+                return;
             }
 
-            this.operationInProgress = true;
+            var entry = this.queue[0];
+            this.acquiringForQueue = true;
+
+            this.operationLock.acquire(this._lockOwner(entry.context)).then(function(lease) {
+                self.acquiringForQueue = false;
+
+                if (!lease) {
+                    // Held by another tab, which won't tell us when it's done
+                    if (!self.operationLock.getOwner()) {
+                        self.queueTimer = setTimeout(function() {
+                            self.queueTimer = null;
+                            self._runNextQueued();
+                        }, QUEUE_RETRY_MS);
+                    }
+                    return;
+                }
+
+                self.queue.shift();
+
+                if (window.qzConfig.debugMode) {
+                    console.log('QZ Tray: Running queued drawer request for ' + self._lockOwner(entry.context) +
+                        ' after ' + (Date.now() - entry.queuedAt) + 'ms');
+                }
+
+                self._openDrawerNow(entry.context, lease).then(entry.resolve, entry.reject);
+            });
+        },
+
+        /**
+         * Queued drawer requests, for debugging
+         */
+        getQueueInfo: function() {
+            var now = Date.now();
+
+            return {
+                enabled: !!window.qzConfig.queueDrawerRequests,
+                length: this.queue.length,
+                requests: this.queue.map(function(entry) {
+                    return {
+                        owner: this._lockOwner(entry.context),
+                        waitingMs: now - entry.queuedAt
+                    };
+                }, this)
+            };
+        },
+
+        /**
+         * Open the drawer holding the operation lock (internal method)
+         */
+        _openDrawerNow: function(context, lease) {
+            var self = this;
+
+            // Let subscribers veto the opening (e.g. a local customisation)
+            if (!QZEvents.emit('before-drawer-open', { context: context })) {
+                if (window.qzConfig.debugMode) {
+                    console.log('QZ Tray: Drawer opening cancelled by a before-drawer-open handler');
+                }
+                this.operationLock.unlock(lease);
+                var vetoed = new Error('DRAWER_OPEN_CANCELLED');
+                this._recordDrawerEvent('cancelled', '', context, vetoed);
+                return Promise.reject(vetoed);
+            }
 
             // Check QZ availability first for fast fallback
             var qzAvailable = this.availability.isAvailable();
@@ -112,8 +347,11 @@
                 if (window.qzConfig.debugMode) {
                     console.log('QZ Tray not available, skipping drawer operation');
                 }
-                this.operationInProgress = false;
-                return Promise.reject(new Error('QZ Tray not available'));
+                this.operationLock.unlock(lease);
+                var unavailable = new Error('QZ Tray not available');
+                this._recordDrawerEvent('failure', '', context, unavailable);
+                QZEvents.emit('drawer-failed', { context: context, printer: '', error: unavailable });
+                return Promise.reject(unavailable);
             }
 
             // Set up authentication
@@ -123,28 +361,42 @@
             // reported against it in the diagnostics store.
             var attemptedPrinter = '';
 
-            // Reuse the socket opened at page load instead of reconnecting —
-            // avoids a second "Allow" prompt and connect/disconnect churn.
-            return this.availability.ensureConnected()
+            // Reuse the socket opened at page load, or the one another tab
+            // owns, instead of reconnecting — avoids a second "Allow" prompt
+            // and connect/disconnect churn.
+            return this.availability.useConnection()
                 .then(function() {
                     if (window.qzConfig.debugMode) {
                         console.log('QZ Tray connection ready (reused if already open)');
                     }
-                    return self._getPrinter();
-                })
-                .then(function(printer) {
-                    attemptedPrinter = printer;
-                    if (window.qzConfig.debugMode) {
-                        console.log('QZ Tray: Using printer:', printer);
-                        console.log('QZ Tray: Drawer code for this printer:', self.getDrawerCode(printer));
+
+                    // Drawers wired straight to a serial port bypass the printer
+                    var serial = self.config.getSerialDrawer();
+                    if (serial) {
+                        attemptedPrinter = serial.port;
+                        return self._redeemNoSaleAuthorisation(context).then(function() {
+                            return self._sendSerialCommand(serial);
+                        });
                     }
-                    return self._sendDrawerCommand(printer);
+
+                    return self._getPrinter().then(function(printer) {
+                        attemptedPrinter = printer;
+                        if (window.qzConfig.debugMode) {
+                            console.log('QZ Tray: Using printer:', printer);
+                            console.log('QZ Tray: Drawer code for this printer:', self.getDrawerCode(printer));
+                        }
+                        return self._redeemNoSaleAuthorisation(context).then(function() {
+                            return self._sendDrawerCommand(printer);
+                        });
+                    });
                 })
                 .then(function() {
                     if (window.qzConfig.debugMode) {
                         console.log('Cash drawer command sent successfully');
                     }
                     self.messaging.showSuccess('Cash drawer opened successfully');
+                    self._recordDrawerEvent('success', attemptedPrinter, context);
+                    QZEvents.emit('drawer-opened', { context: context, printer: attemptedPrinter });
                     // Intentionally keep the socket open for the next operation.
                 })
                 .catch(function(error) {
@@ -155,9 +407,21 @@
                         if (window.qzConfig.debugMode) {
                             console.log('QZ Tray: Printer selection cancelled by user');
                         }
+                        self._recordDrawerEvent('cancelled', attemptedPrinter, context, error);
                         throw error;
                     }
 
+                    // The supervisor's authorisation ran out before the
+                    // drawer's turn came - they need to authorise it again
+                    if (error && error.message === 'NO_SALE_AUTHORISATION_EXPIRED') {
+                        self.messaging.showError('The supervisor\'s authorisation has expired. Ask them to authorise the no-sale again.');
+                        self._recordDrawerEvent('cancelled', attemptedPrinter, context, error);
+                        throw error;
+                    }
+
+                    self._recordDrawerEvent('failure', attemptedPrinter, context, error);
+                    QZEvents.emit('drawer-failed', { context: context, printer: attemptedPrinter, error: error });
+
                     // Mark QZ as unavailable if connection fails
                     if (error.message && error.message.indexOf('Unable to establish connection') !== -1) {
                         self.availability.markUnavailable();
@@ -169,7 +433,7 @@
                     // store as connection failures (kept alongside the warning).
                     self.availability.logDiagnostic({
                         category: 'drawer',
-                        failureType: self._drawerFailureType(error),
+                        failureType: self._drawerFailureType(error, attemptedPrinter),
                         error: error,
                         printer: attemptedPrinter
                     });
@@ -179,16 +443,152 @@
                 .finally(function() {
                     // Reset operation flag after a short delay to prevent rapid-fire clicking
                     setTimeout(function() {
-                        self.operationInProgress = false;
+                        self.operationLock.unlock(lease);
                     }, 500);
                 });
         },
 
+        /**
+         * Ask the server whether the logged-in staff member may open the
+         * drawer without a transaction. Rejects with NO_SALE_NOT_PERMITTED
+         * when they lack the configured permission (telling the user, unless
+         * a supervisor can override).
+         *
+         * With a supervisor's { userid, password } the server checks those
+         * instead, and resolves with a single-use authorisation_token, redeemed
+         * just before the drawer opens and sent with the drawer event. Wrong credentials reject with the server's
+         * error message.
+         */
+        authoriseNoSale: function(credentials) {
+            var self = this;
+            var body = { register_id: String(this.config.getCurrentRegister() || '') };
+            if (credentials) {
+                body.userid = credentials.userid;
+                body.password = credentials.password;
+            }
+
+            return fetch(this.config.getApiUrl('/authorise-no-sale'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                credentials: 'same-origin',
+                body: JSON.stringify(body)
+            }).then(function(response) {
+                if (response.ok) {
+                    return response.json();
+                }
+                return response.json().catch(function() {
+                    return {};
+                }).then(function(errorData) {
+                    if (!credentials && response.status === 403) {
+                        if (!window.qzConfig.noSaleSupervisorOverride) {
+                            self.messaging.showError('You do not have permission to open the cash drawer without a transaction.');
+                        }
+                        throw new Error('NO_SALE_NOT_PERMITTED');
+                    }
+                    throw new Error(errorData.error || 'No-sale authorisation failed (HTTP ' + response.status + ')');
+                });
+            });
+        },
+
+        /**
+         * Use up a supervisor's no-sale authorisation just before the drawer
+         * opens, so an authorisation that has run out stops the opening
+         * rather than the drawer event. Resolves straight away for openings
+         * that don't carry one (internal method)
+         */
+        _redeemNoSaleAuthorisation: function(context) {
+            if (!context || context.eventType !== 'no_sale' || !context.authorisationToken) {
+                return Promise.resolve();
+            }
+
+            return fetch(this.config.getApiUrl('/authorise-no-sale'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                credentials: 'same-origin',
+                body: JSON.stringify({
+                    register_id: String(this.config.getCurrentRegister() || ''),
+                    authorisation_token: context.authorisationToken
+                })
+            }).then(function(response) {
+                if (response.ok) {
+                    return;
+                }
+                if (response.status === 403) {
+                    throw new Error('NO_SALE_AUTHORISATION_EXPIRED');
+                }
+                throw new Error('No-sale authorisation failed (HTTP ' + response.status + ')');
+            });
+        },
+
+        /**
+         * Record that the payment a drawer was opened for was never committed
+         *
+         * @param {Object} context
+         * @param {string} context.description the page config description
+         * @param {string} context.transactionToken token sent when the drawer opened
+         * @param {string} context.reason 'page_left' or 'change_declined'
+         */
+        recordAbandonedTransaction: function(context) {
+            this._recordDrawerEvent('abandoned', '', context, null);
+        },
+
+        /**
+         * Record a drawer opening attempt in the server-side audit log.
+         * Always sent, whatever the debug/discovery settings. Fire-and-forget,
+         * with keepalive so the request survives the page submitting.
+         */
+        _recordDrawerEvent: function(outcome, printer, context, error) {
+            try {
+                fetch(this.config.getApiUrl('/drawer-event'), {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json'
+                    },
+                    credentials: 'same-origin',
+                    keepalive: true,
+                    body: JSON.stringify({
+                        outcome: outcome,
+                        printer: printer || '',
+                        trigger: (context && context.description) || '',
+                        event_type: (context && context.eventType) || 'transaction',
+                        reason: (context && context.reason) || '',
+                        note: (context && context.note) || '',
+                        authorisation_token: (context && context.authorisationToken) || '',
+                        transaction_token: (context && context.transactionToken) || '',
+                        error_message: (error && error.message) ? String(error.message) : '',
+                        register_id: String(this.config.getCurrentRegister() || ''),
+                        page_url: window.location.pathname || 'unknown'
+                    })
+                }).then(function(response) {
+                    if (window.qzConfig.debugMode && response.ok) {
+                        console.log('QZ Tray: Drawer event recorded:', outcome);
+                    }
+                }).catch(function(err) {
+                    console.error('QZ Tray: Failed to record drawer event:', err);
+                });
+            } catch (e) {
+                console.error('QZ Tray: Error recording drawer event:', e);
+            }
+        },
+
         /**
          * Classify a drawer-operation failure for diagnostics.
          */
-        _drawerFailureType: function(error) {
+        _drawerFailureType: function(error, printer) {
             var msg = (error && error.message) ? error.message : '';
+            if (this.network && this.network.isNetworkTarget(printer)) {
+                return 'network_unreachable';
+            }
+            if (this.config.getSerialDrawer()) {
+                return 'serial_port';
+            }
             if (msg.toLowerCase().indexOf('printer') !== -1) {
                 return 'printer_not_found';
             }
@@ -219,7 +619,7 @@
                 return Promise.resolve(selectedPrinter);
             }
 
-            return qz.printers.find().then(function(printers) {
+            return this.availability.call('printers.find').then(function(printers) {
                 if (!Array.isArray(printers)) {
                     printers = printers ? [printers] : [];
                 }
@@ -238,6 +638,7 @@
                         console.log('QZ Tray: Auto-selecting the only supported printer:', only);
                     }
                     self._saveRegisterPrinter(only);
+                    QZEvents.emit('printer-selected', { printer: only, source: 'auto', saved: true });
                     return only;
                 }
 
@@ -246,12 +647,20 @@
                         if (result && result.save) {
                             self._saveRegisterPrinter(result.printer);
                         }
+                        QZEvents.emit('printer-selected', {
+                            printer: result.printer,
+                            source: 'picker',
+                            saved: !!(result && result.save)
+                        });
                         return result.printer;
                     });
                 }
 
                 // Nothing supported found — fall back to the system default.
-                return qz.printers.getDefault();
+                return self.availability.call('printers.getDefault').then(function(printer) {
+                    QZEvents.emit('printer-selected', { printer: printer, source: 'default', saved: false });
+                    return printer;
+                });
             });
         },
 
@@ -297,19 +706,61 @@
         },
 
         /**
-         * Send drawer command to printer
+         * Send drawer command to printer, over a raw socket for network targets
          */
         _sendDrawerCommand: function(printer) {
-            var config = qz.configs.create(printer);
             var data = this.getDrawerCode(printer);
-            return qz.print(config, data);
+
+            var target = this.network ? this.network.parseTarget(printer) : null;
+            if (target) {
+                return this.network.send(target, data.join(''), 'ISO-8859-1');
+            }
+
+            return this.availability.call('print', printer, null, data);
+        },
+
+        /**
+         * Open a serial-port drawer: open the port, send the configured bytes
+         * and close it again so other software can use the port
+         */
+        _sendSerialCommand: function(serial) {
+            var availability = this.availability;
+            var port = serial.port;
+            var hex = (serial.bytes || [7]).map(function(b) {
+                return ('0' + (b & 0xFF).toString(16)).slice(-2);
+            }).join('');
+
+            if (window.qzConfig.debugMode) {
+                console.log('QZ Tray: Opening serial drawer on', port, 'at', serial.baud_rate, 'baud, sending', hex);
+            }
+
+            return availability.call('serial.openPort', port, {
+                baudRate: serial.baud_rate || 9600,
+                dataBits: 8,
+                stopBits: 1,
+                parity: 'NONE',
+                flowControl: 'NONE'
+            })
+                .then(function() {
+                    return availability.call('serial.sendData', port, { type: 'HEX', data: hex });
+                })
+                .then(function() {
+                    return availability.call('serial.closePort', port);
+                }, function(error) {
+                    // Release the port even when the write failed
+                    return availability.call('serial.closePort', port).then(function() {
+                        throw error;
+                    }, function() {
+                        throw error;
+                    });
+                });
         },
 
         /**
          * Check if drawer operation is in progress
          */
         isOperationInProgress: function() {
-            return this.operationInProgress;
+            return this.operationLock.isLocked();
         }
     };
 
@@ -0,0 +1,133 @@
+/**
+ * QZ Tray Event Hooks
+ * Lets other plugins and local customisations react to the till, e.g. start a
+ * customer display when the drawer opens. Subscribe with QZEvents.on (or
+ * QZTrayIntegration.on), or listen for the matching 'qztray:<name>'
+ * CustomEvent on document; both receive the same detail object.
+ *
+ * Events:
+ *   availability-changed  { available }
+ *   before-drawer-open    { context }                    cancellable
+ *   drawer-opened         { context, printer }
+ *   drawer-failed         { context, printer, error }
+ *   printer-selected      { printer, source, saved }     source: 'auto', 'picker' or 'default'
+ *   workflow-proceeded    { description, autoSubmit }
+ *   no-sale-authorised    { authorisedBy }               authorisedBy: supervisor name, or '' for own permission
+ *
+ * Cancel a cancellable event by calling event.preventDefault() in a handler
+ * (or on the DOM event).
+ */
+
+(function(window) {
+    'use strict';
+
+    var EVENT_NAMES = [
+        'availability-changed',
+        'before-drawer-open',
+        'drawer-opened',
+        'drawer-failed',
+        'printer-selected',
+        'workflow-proceeded',
+        'no-sale-authorised'
+    ];
+
+    var CANCELLABLE = ['before-drawer-open'];
+
+    // Handlers by event name
+    var handlers = {};
+
+    var QZEvents = {
+        /**
+         * Subscribe to an event. The handler is called with an event object
+         * { type, detail, defaultPrevented, preventDefault() }.
+         * Returns a function that unsubscribes the handler.
+         */
+        on: function(name, handler) {
+            if (EVENT_NAMES.indexOf(name) === -1) {
+                console.warn('QZ Tray: Unknown event', name);
+                return function() {};
+            }
+            if (typeof handler !== 'function') {
+                return function() {};
+            }
+
+            (handlers[name] = handlers[name] || []).push(handler);
+
+            return function() {
+                QZEvents.off(name, handler);
+            };
+        },
+
+        /**
+         * Unsubscribe a handler added with on()
+         */
+        off: function(name, handler) {
+            if (!handlers[name]) {
+                return;
+            }
+            handlers[name] = handlers[name].filter(function(h) {
+                return h !== handler;
+            });
+        },
+
+        /**
+         * Fire an event to subscribers and as a DOM CustomEvent on document.
+         * A handler that throws is logged and skipped so it can't break the
+         * till. Returns false if a cancellable event was cancelled.
+         */
+        emit: function(name, detail) {
+            detail = detail || {};
+            var cancellable = CANCELLABLE.indexOf(name) !== -1;
+
+            var event = {
+                type: name,
+                detail: detail,
+                defaultPrevented: false,
+                preventDefault: function() {
+                    if (cancellable) {
+                        event.defaultPrevented = true;
+                    }
+                }
+            };
+
+            (handlers[name] || []).slice().forEach(function(handler) {
+                try {
+                    handler(event);
+                } catch (e) {
+                    console.error('QZ Tray: Event handler for ' + name + ' failed:', e);
+                }
+            });
+
+            try {
+                if (typeof window.CustomEvent === 'function' && window.document) {
+                    var domEvent = new window.CustomEvent('qztray:' + name, {
+                        detail: detail,
+                        cancelable: cancellable
+                    });
+                    if (!window.document.dispatchEvent(domEvent)) {
+                        event.defaultPrevented = true;
+                    }
+                }
+            } catch (e) {
+                console.error('QZ Tray: Failed to dispatch DOM event for ' + name + ':', e);
+            }
+
+            if (window.qzConfig && window.qzConfig.debugMode) {
+                console.log('QZ Tray: Event', name, detail, event.defaultPrevented ? '(cancelled)' : '');
+            }
+
+            return !event.defaultPrevented;
+        },
+
+        /**
+         * Names of the events that can be subscribed to
+         */
+        getEventNames: function() {
+            return EVENT_NAMES.slice();
+        }
+    };
+
+    // Export to global scope
+    window.QZEvents = QZEvents;
+
+})(window);
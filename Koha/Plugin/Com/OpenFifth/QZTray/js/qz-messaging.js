@@ -61,6 +61,17 @@
             }
         },
 
+        /**
+         * Clear the transient message, but only if it still contains the
+         * element with the given id (so a newer message isn't wiped)
+         */
+        clearMessage: function(markerId) {
+            var element = this._getTransientResultElement();
+            if (element && (!markerId || element.querySelector('#' + markerId))) {
+                this._replaceTransientResult('<div id="transient_result"></div>');
+            }
+        },
+
         /**
          * Show info message to user
          */
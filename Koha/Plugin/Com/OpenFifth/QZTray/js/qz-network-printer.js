@@ -0,0 +1,103 @@
+/**
+ * QZ Tray Network Printers
+ * Sends raw ESC/POS data to Ethernet printers (e.g. port 9100) that aren't
+ * installed as OS print queues, using QZ Tray's network socket API on the
+ * workstation's shared connection
+ */
+
+(function(window) {
+    'use strict';
+
+    // host:port, where host is a hostname or IPv4 address
+    var TARGET_PATTERN = /^([A-Za-z0-9](?:[A-Za-z0-9.-]*[A-Za-z0-9])?):(\d{1,5})$/;
+
+    function QZNetworkPrinter(availability) {
+        this.availability = availability;
+    }
+
+    QZNetworkPrinter.prototype = {
+        /**
+         * Parse a register mapping as a network target.
+         * Returns { host, port } or null when the value is an OS printer name.
+         */
+        parseTarget: function(value) {
+            if (!value || typeof value !== 'string') {
+                return null;
+            }
+
+            var match = TARGET_PATTERN.exec(value.trim());
+            if (!match) {
+                return null;
+            }
+
+            var port = parseInt(match[2], 10);
+            if (port < 1 || port > 65535) {
+                return null;
+            }
+
+            return { host: match[1], port: port };
+        },
+
+        /**
+         * Check whether a register mapping names a network target
+         */
+        isNetworkTarget: function(value) {
+            return this.parseTarget(value) !== null;
+        },
+
+        /**
+         * Send raw data to a network target, opening and closing the socket
+         * around the write so the printer is free for other tills.
+         */
+        send: function(target, data, encoding) {
+            var availability = this.availability;
+            var host = target.host;
+            var port = target.port;
+
+            if (window.qzConfig.debugMode) {
+                console.log('QZ Tray: Sending raw data to network printer', host + ':' + port);
+            }
+
+            return availability.call('socket.open', host, port, { encoding: encoding || 'ISO-8859-1' })
+                .then(function() {
+                    return availability.call('socket.sendData', host, port, data);
+                })
+                .then(function() {
+                    return availability.call('socket.close', host, port);
+                }, function(error) {
+                    // Don't leave a half-open socket behind on a failed write
+                    return availability.call('socket.close', host, port).then(function() {
+                        throw error;
+                    }, function() {
+                        throw error;
+                    });
+                });
+        },
+
+        /**
+         * Check a network target accepts connections. Resolves true/false.
+         */
+        probe: function(target) {
+            var availability = this.availability;
+
+            return availability.call('socket.open', target.host, target.port)
+                .then(function() {
+                    return availability.call('socket.close', target.host, target.port).then(function() {
+                        return true;
+                    }, function() {
+                        return true;
+                    });
+                })
+                .catch(function(error) {
+                    if (window.qzConfig.debugMode) {
+                        console.log('QZ Tray: Network printer not reachable:', target.host + ':' + target.port, error);
+                    }
+                    return false;
+                });
+        }
+    };
+
+    // Export to global scope
+    window.QZNetworkPrinter = QZNetworkPrinter;
+
+})(window);
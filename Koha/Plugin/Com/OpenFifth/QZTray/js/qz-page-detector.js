@@ -1,80 +1,33 @@
 /**
  * QZ Tray Page Detection
  * Improved page detection and configuration management
+ *
+ * Page configs come from window.qzConfig.pageConfigs. A page config may
+ * carry `conditions`: a list of rules that must all hold when the drawer
+ * button is clicked, otherwise the payment is submitted without opening the
+ * drawer. Each rule names a `field` (a CSS selector,
+ * looked up in the button's form first, then the page) and one test:
+ *
+ *   { field: '#collected', greaterThanZero: true }   amount above zero
+ *   { field: '#refund_type', equals: 'CASH' }        value is (one of) the given value(s)
+ *   { field: '#refund_type', notEquals: ['SIP00'] }  value is none of them
+ *   { field: '#print_receipt', checked: true }       checkbox or radio is (not) ticked
+ *   { field: '.cash-tendered', present: true }       element is (not) on the page
  */
 
 (function(window) {
     'use strict';
 
     function QZPageDetector() {
-        this.pageConfigs = [
-            {
-                urlPattern: 'pos/pay.pl',
-                selector: '#submitbutton',
-                drawerButtonText: 'Confirm',
-                originalButtonText: 'Commit payment',
-                description: 'POS Payment Confirmation'
-            },
-            {
-                urlPattern: 'pos/register.pl',
-                selector: '#triggerCashupModal button[type="submit"].btn-primary',
-                drawerButtonText: 'Start cashup',
-                originalButtonText: 'Start cashup',
-                description: 'POS Register Start Two-Stage Cashup'
-            },
-            {
-                urlPattern: 'pos/register.pl',
-                selector: '#triggerCashupModal button[type="button"].btn-success',
-                drawerButtonText: 'Quick cashup',
-                originalButtonText: 'Quick cashup',
-                description: 'POS Register Cashup Confirm (Quick cashup only)',
-            },
-            {
-                urlPattern: 'pos/register.pl',
-                selector: '#pos_refund_confirm',
-                drawerButtonText: 'Confirm',
-                originalButtonText: 'Confirm',
-                description: 'POS Refund Confirmation'
-            },
-            {
-                urlPattern: 'pos/registers.pl',
-                selector: 'button.cashup_individual[data-registerid]',
-                drawerButtonText: 'Record cashup',
-                originalButtonText: 'Record cashup',
-                description: 'Individual Register Cashup (from list)',
-                requireSessionRegisterMatch: true  // Only trigger if register matches session
-            },
-            {
-                urlPattern: 'pos/registers.pl',
-                selector: 'button.pos_complete_cashup[data-registerid]',
-                drawerButtonText: 'Complete cashup',
-                originalButtonText: 'Complete cashup',
-                description: 'Complete Register Cashup (from list)',
-                requireSessionRegisterMatch: true,  // Only trigger if register matches session
-            },
-            {
-                urlPattern: 'members/boraccount.pl',
-                selector: '#borr_payout_confirm',
-                drawerButtonText: 'Confirm',
-                originalButtonText: 'Commit payout',
-                description: 'Member Account Payout'
-            },
-            {
-                urlPattern: 'members/paycollect.pl',
-                selector: '#payindivfine input[name="submitbutton"]',
-                drawerButtonText: 'Confirm',
-                originalButtonText: 'Confirm',
-                description: 'Member Individual Payment'
-            },
-            {
-                urlPattern: 'members/paycollect.pl',
-                selector: '#payfine input[name="submitbutton"]',
-                drawerButtonText: 'Confirm',
-                originalButtonText: 'Confirm',
-                description: 'Member Payment (All/Selected)',
-                skipIfWriteoff: true  // Special flag - check at runtime
-            }
-        ];
+        // Page triggers are managed on the plugin's configuration page and
+        // delivered in qzConfig (defaults live in QZTray.pm)
+        var configs = (window.qzConfig && window.qzConfig.pageConfigs) || [];
+        if (!configs.length) {
+            console.warn('QZ Tray: No page triggers configured');
+        }
+        this.pageConfigs = configs.map(function(config) {
+            return Object.assign({}, config);
+        });
     }
 
     QZPageDetector.prototype = {
@@ -105,6 +58,89 @@
             return url.indexOf(pattern) !== -1;
         },
 
+        /**
+         * Check a page config's conditions against the page as it is now.
+         * Configs without conditions always pass. A rule with an unknown test
+         * is logged and ignored rather than silently keeping the drawer shut.
+         *
+         * @param {Object} config - page config
+         * @param {Element} button - the original button, used to find its form
+         * @returns {boolean} true when every condition holds
+         */
+        conditionsMet: function(config, button) {
+            var conditions = config.conditions || [];
+            var scope = (button && button.closest && button.closest('form')) || null;
+
+            for (var i = 0; i < conditions.length; i++) {
+                if (!this._conditionMet(conditions[i], scope)) {
+                    if (window.qzConfig && window.qzConfig.debugMode) {
+                        console.log('QZ Tray: Condition not met for', config.description, conditions[i]);
+                    }
+                    return false;
+                }
+            }
+            return true;
+        },
+
+        /**
+         * Evaluate a single condition rule
+         */
+        _conditionMet: function(condition, scope) {
+            var element = this._findConditionField(condition.field, scope);
+
+            if (condition.hasOwnProperty('present')) {
+                return !!element === !!condition.present;
+            }
+            if (condition.hasOwnProperty('checked')) {
+                return !!(element && element.checked) === !!condition.checked;
+            }
+
+            var value = element ? this._fieldValue(element, condition.field, scope) : null;
+
+            if (condition.hasOwnProperty('equals')) {
+                return value !== null && [].concat(condition.equals).map(String).indexOf(value) !== -1;
+            }
+            if (condition.hasOwnProperty('notEquals')) {
+                return value === null || [].concat(condition.notEquals).map(String).indexOf(value) === -1;
+            }
+            if (condition.hasOwnProperty('greaterThanZero')) {
+                var amount = parseFloat(String(value || '').replace(/[^0-9.\-]/g, ''));
+                return (!isNaN(amount) && amount > 0) === !!condition.greaterThanZero;
+            }
+
+            console.warn('QZ Tray: Ignoring page config condition with no known test', condition);
+            return true;
+        },
+
+        /**
+         * Find a condition's field in the button's form, falling back to the page
+         */
+        _findConditionField: function(selector, scope) {
+            if (!selector) {
+                return null;
+            }
+            try {
+                return (scope && scope.querySelector(selector)) || document.querySelector(selector);
+            } catch (e) {
+                console.warn('QZ Tray: Invalid condition selector', selector);
+                return null;
+            }
+        },
+
+        /**
+         * Current value of a condition field; for radio groups, the ticked one
+         */
+        _fieldValue: function(element, selector, scope) {
+            if (element.type === 'radio') {
+                var checked = this._findConditionField(selector + ':checked', scope);
+                return checked ? String(checked.value) : null;
+            }
+            if (element.value === undefined) {
+                return String(element.textContent || '').trim();
+            }
+            return String(element.value);
+        },
+
         /**
          * Get configuration for a specific page pattern
          */
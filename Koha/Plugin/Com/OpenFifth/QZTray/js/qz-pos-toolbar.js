@@ -6,8 +6,10 @@
 (function(window) {
     'use strict';
 
-    function QZPosToolbar(drawer) {
+    function QZPosToolbar(drawer, reasonDialog, supervisorOverride) {
         this.drawer = drawer;
+        this.reasonDialog = reasonDialog;
+        this.supervisorOverride = supervisorOverride;
         this.toolbarElement = null;
         this.openDrawerButton = null;
     }
@@ -23,6 +25,15 @@
                 return;
             }
 
+            // Opening the drawer without a transaction needs the configured
+            // permission, or a supervisor to authorise it
+            if (window.qzConfig.canOpenNoSale === false && !window.qzConfig.noSaleSupervisorOverride) {
+                if (window.qzConfig.debugMode) {
+                    console.log('QZ Tray: No-sale permission missing, POS toolbar not shown');
+                }
+                return;
+            }
+
             // Create and inject toolbar if it doesn't exist
             if (!this.toolbarElement) {
                 if (window.qzConfig.debugMode) {
@@ -103,10 +114,53 @@
         },
 
         /**
-         * Handle "Open cash drawer" button click
+         * Handle "Open cash drawer" button click. This is a no-sale, so the
+         * server must authorise it (or a supervisor, for staff without the
+         * permission) and the operator is asked for a reason before the
+         * drawer opens.
          */
         _handleOpenDrawerClick: function() {
             var self = this;
+            var authorisationToken = '';
+
+            this.drawer.authoriseNoSale()
+                .catch(function(error) {
+                    if (error && error.message === 'NO_SALE_NOT_PERMITTED' &&
+                        window.qzConfig.noSaleSupervisorOverride && self.supervisorOverride) {
+                        return self.supervisorOverride.ask(function(credentials) {
+                            return self.drawer.authoriseNoSale(credentials);
+                        });
+                    }
+                    throw error;
+                })
+                .then(function(authorisation) {
+                    authorisationToken = (authorisation && authorisation.authorisation_token) || '';
+                    QZEvents.emit('no-sale-authorised', {
+                        authorisedBy: (authorisation && authorisation.authorised_by) || ''
+                    });
+                    return self.reasonDialog ? self.reasonDialog.ask(window.qzConfig.noSaleReasons || []) : {};
+                })
+                .then(function(result) {
+                    result.authorisationToken = authorisationToken;
+                    self._openDrawer(result);
+                })
+                .catch(function(error) {
+                    if (error && error.message === 'NO_SALE_CANCELLED') {
+                        if (window.qzConfig.debugMode) {
+                            console.log('QZ Tray: No-sale cancelled, drawer not opened');
+                        }
+                        return;
+                    }
+                    console.error('QZ Tray: No-sale not authorised:', error);
+                    self._resetButton(false);
+                });
+        },
+
+        /**
+         * Open the drawer as a no-sale, recording the reason with the event
+         */
+        _openDrawer: function(noSale) {
+            var self = this;
 
             // Disable button during operation
             this.openDrawerButton.disabled = true;
@@ -122,7 +176,13 @@
                 console.log('QZ Tray: Opening drawer from POS toolbar');
             }
 
-            this.drawer.openDrawer()
+            this.drawer.openDrawer({
+                description: 'POS toolbar: Open cash drawer',
+                eventType: 'no_sale',
+                reason: noSale.reason || '',
+                note: noSale.note || '',
+                authorisationToken: noSale.authorisationToken || ''
+            })
                 .then(function() {
                     if (window.qzConfig.debugMode) {
                         console.log('QZ Tray: Drawer opened successfully from toolbar');
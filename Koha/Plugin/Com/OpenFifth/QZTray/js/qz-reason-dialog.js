@@ -0,0 +1,169 @@
+/**
+ * QZ Tray No-Sale Reason Dialog
+ * Lightweight, self-contained modal shown before the POS toolbar opens the
+ * cash drawer outside a payment. Asks the operator why the drawer is being
+ * opened, from the admin-configured list of reasons or "Other" with free
+ * text, so the no-sale can be recorded with the drawer event.
+ *
+ * Pure vanilla JS with no dependency on Bootstrap's JavaScript — it builds its
+ * own overlay so it works regardless of what the host page has loaded.
+ */
+
+(function(window) {
+    'use strict';
+
+    var OTHER_REASON = 'Other';
+
+    function QZReasonDialog() {
+        this._active = false;
+    }
+
+    QZReasonDialog.prototype = {
+        /**
+         * Present the dialog.
+         *
+         * @param {string[]} reasons - configured no-sale reasons
+         * @returns {Promise<{reason: string, note: string}>} resolves with the
+         *          chosen reason and any note; rejects with
+         *          Error('NO_SALE_CANCELLED') if the operator dismisses it.
+         */
+        ask: function(reasons) {
+            var self = this;
+
+            return new Promise(function(resolve, reject) {
+                if (self._active) {
+                    reject(new Error('NO_SALE_CANCELLED'));
+                    return;
+                }
+                self._active = true;
+
+                var overlay = document.createElement('div');
+                overlay.className = 'qz-reason-overlay';
+                overlay.setAttribute('style',
+                    'position:fixed;top:0;left:0;right:0;bottom:0;z-index:2050;' +
+                    'display:flex;align-items:center;justify-content:center;' +
+                    'background:rgba(0,0,0,0.5);');
+
+                var box = document.createElement('div');
+                box.className = 'qz-reason-dialog';
+                box.setAttribute('role', 'dialog');
+                box.setAttribute('aria-modal', 'true');
+                box.setAttribute('style',
+                    'background:#fff;color:#000;border-radius:6px;max-width:440px;' +
+                    'width:90%;padding:20px;box-shadow:0 4px 24px rgba(0,0,0,0.35);');
+
+                var title = document.createElement('h3');
+                title.textContent = 'Reason for opening the drawer';
+                title.style.marginTop = '0';
+
+                var intro = document.createElement('p');
+                intro.className = 'text-muted';
+                intro.textContent = 'No payment is being taken. Choose why the cash drawer is being opened.';
+
+                var select = document.createElement('select');
+                select.className = 'form-select form-control';
+                select.setAttribute('aria-label', 'No-sale reason');
+                select.style.width = '100%';
+                select.style.marginBottom = '12px';
+
+                var placeholder = document.createElement('option');
+                placeholder.value = '';
+                placeholder.textContent = 'Choose a reason...';
+                select.appendChild(placeholder);
+
+                (reasons || []).concat([OTHER_REASON]).forEach(function(reason) {
+                    var opt = document.createElement('option');
+                    opt.value = reason;
+                    opt.textContent = reason;
+                    select.appendChild(opt);
+                });
+
+                var note = document.createElement('textarea');
+                note.className = 'form-control';
+                note.setAttribute('aria-label', 'Details');
+                note.setAttribute('maxlength', '500');
+                note.rows = 2;
+                note.placeholder = 'Details (required for Other)';
+                note.style.width = '100%';
+                note.style.marginBottom = '8px';
+
+                var error = document.createElement('div');
+                error.className = 'text-danger';
+                error.style.minHeight = '1.5em';
+                error.style.marginBottom = '8px';
+
+                var btnRow = document.createElement('div');
+                btnRow.style.textAlign = 'right';
+
+                var cancelBtn = document.createElement('button');
+                cancelBtn.type = 'button';
+                cancelBtn.className = 'btn btn-default btn-secondary';
+                cancelBtn.textContent = 'Cancel';
+                cancelBtn.style.marginRight = '8px';
+
+                var okBtn = document.createElement('button');
+                okBtn.type = 'button';
+                okBtn.className = 'btn btn-primary';
+                okBtn.textContent = 'Open drawer';
+
+                btnRow.appendChild(cancelBtn);
+                btnRow.appendChild(okBtn);
+
+                box.appendChild(title);
+                box.appendChild(intro);
+                box.appendChild(select);
+                box.appendChild(note);
+                box.appendChild(error);
+                box.appendChild(btnRow);
+                overlay.appendChild(box);
+                document.body.appendChild(overlay);
+
+                // Focus the select so keyboard users land in the dialog.
+                try { select.focus(); } catch (e) { /* ignore */ }
+
+                function cleanup() {
+                    if (overlay.parentNode) {
+                        overlay.parentNode.removeChild(overlay);
+                    }
+                    self._active = false;
+                }
+
+                function cancel() {
+                    cleanup();
+                    reject(new Error('NO_SALE_CANCELLED'));
+                }
+
+                cancelBtn.addEventListener('click', cancel);
+
+                okBtn.addEventListener('click', function() {
+                    var reason = select.value;
+                    var details = note.value.trim();
+
+                    if (!reason) {
+                        error.textContent = 'Please choose a reason.';
+                        select.focus();
+                        return;
+                    }
+                    if (reason === OTHER_REASON && !details) {
+                        error.textContent = 'Please describe the reason.';
+                        note.focus();
+                        return;
+                    }
+
+                    cleanup();
+                    resolve({ reason: reason, note: details });
+                });
+
+                overlay.addEventListener('keydown', function(e) {
+                    if (e.key === 'Escape') {
+                        cancel();
+                    }
+                });
+            });
+        }
+    };
+
+    // Export to global scope
+    window.QZReasonDialog = QZReasonDialog;
+
+})(window);
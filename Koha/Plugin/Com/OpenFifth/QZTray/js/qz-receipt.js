@@ -0,0 +1,422 @@
+/**
+ * QZ Tray Receipt Printing
+ * Prints a till receipt for committed Point of Sale payments, in the
+ * command dialect (ESC/POS or Star) of the register's printer
+ */
+
+(function(window) {
+    'use strict';
+
+    // The payment is only committed once pos/pay.pl reloads after the form is
+    // submitted, so the receipt details are captured at submit time and kept
+    // here until that next page load confirms (or not) the payment.
+    var PENDING_RECEIPT_KEY = 'qztray.pendingReceipt';
+
+    // Characters per line for an 80mm roll in the printer's default font
+    var LINE_WIDTH = 42;
+
+    function QZReceipt(config, messaging, auth, availability, network, drawer) {
+        this.config = config;
+        this.messaging = messaging;
+        this.auth = auth;
+        this.availability = availability;
+        this.network = network;
+        this.drawer = drawer;
+        this.formWatched = false;
+    }
+
+    QZReceipt.prototype = {
+        /**
+         * Print any receipt left pending by the previous submit, then watch the
+         * payment form so the next committed payment gets a receipt too.
+         * Only runs on the POS page when receipt printing is enabled.
+         */
+        initialize: function() {
+            if (!window.qzConfig.receiptPrinting) {
+                return;
+            }
+
+            if (window.location.href.indexOf('pos/pay.pl') === -1) {
+                return;
+            }
+
+            this._printPendingReceipt();
+            this._watchPaymentForm();
+        },
+
+        /**
+         * Drop any pending receipt without printing it (e.g. QZ unavailable)
+         */
+        clearPending: function() {
+            try {
+                window.sessionStorage.removeItem(PENDING_RECEIPT_KEY);
+            } catch (e) {
+                // Storage unavailable (private mode etc.) - nothing to clear
+            }
+        },
+
+        /**
+         * Capture receipt details whenever the payment form is submitted.
+         * Bound through jQuery when present so Koha's own jQuery-triggered
+         * submits (e.g. from the change-to-give modal) are seen as well.
+         */
+        _watchPaymentForm: function() {
+            if (this.formWatched) {
+                return;
+            }
+
+            var form = this._findPaymentForm();
+            if (!form) {
+                if (window.qzConfig.debugMode) {
+                    console.log('QZ Tray: Payment form not found, receipt printing inactive');
+                }
+                return;
+            }
+
+            var self = this;
+            var handler = function() {
+                self.captureReceipt(form);
+            };
+
+            if (window.jQuery) {
+                window.jQuery(form).on('submit', handler);
+            } else {
+                form.addEventListener('submit', handler);
+            }
+
+            this.formWatched = true;
+        },
+
+        /**
+         * Locate the POS payment form
+         */
+        _findPaymentForm: function() {
+            var form = document.getElementById('payForm');
+            if (form) {
+                return form;
+            }
+
+            var submitButton = document.getElementById('submitbutton');
+            return submitButton ? submitButton.closest('form') : null;
+        },
+
+        /**
+         * Read the sale from the payment form and keep it until the next page
+         * load confirms the payment was committed.
+         */
+        captureReceipt: function(form) {
+            var receipt = {
+                items: this._readSaleItems(),
+                paid: this._readFieldValue(form, ['#paid', '[name="paid"]']),
+                tendered: this._readFieldValue(form, ['#collected', '[name="collected"]', '[name="tendered"]']),
+                change: this._readFieldValue(form, ['#change', '[name="change"]']),
+                paymentType: this._readSelectedText(form, '#payment_type, [name="payment_type"]'),
+                register: this._readSelectedText(form, '#registerid, [name="registerid"]'),
+                library: window.qzConfig.libraryName || '',
+                staff: window.qzConfig.staffName || '',
+                timestamp: new Date().toISOString()
+            };
+
+            try {
+                window.sessionStorage.setItem(PENDING_RECEIPT_KEY, JSON.stringify(receipt));
+                if (window.qzConfig.debugMode) {
+                    console.log('QZ Tray: Receipt captured pending payment commit:', receipt);
+                }
+            } catch (e) {
+                if (window.qzConfig.debugMode) {
+                    console.log('QZ Tray: Unable to store pending receipt:', e);
+                }
+            }
+        },
+
+        /**
+         * Read line items from the sale table
+         */
+        _readSaleItems: function() {
+            var items = [];
+            var rows = document.querySelectorAll('#sale tbody tr');
+
+            rows.forEach(function(row) {
+                var cells = row.querySelectorAll('td');
+                // Skip DataTables' "no data" placeholder row
+                if (cells.length < 4) {
+                    return;
+                }
+
+                items.push({
+                    description: cells[0].textContent.trim(),
+                    price: cells[1].textContent.trim(),
+                    quantity: cells[2].textContent.trim(),
+                    total: cells[3].textContent.trim()
+                });
+            });
+
+            return items;
+        },
+
+        /**
+         * Read the first matching input value (or element text) within the form
+         */
+        _readFieldValue: function(form, selectors) {
+            for (var i = 0; i < selectors.length; i++) {
+                var element = form.querySelector(selectors[i]) || document.querySelector(selectors[i]);
+                if (element) {
+                    var value = (element.value !== undefined) ? element.value : element.textContent;
+                    return (value || '').trim();
+                }
+            }
+            return '';
+        },
+
+        /**
+         * Read the visible text of the selected option in a select
+         */
+        _readSelectedText: function(form, selector) {
+            var select = form.querySelector(selector) || document.querySelector(selector);
+            if (!select) {
+                return '';
+            }
+            if (select.options && select.selectedIndex >= 0) {
+                return select.options[select.selectedIndex].textContent.trim();
+            }
+            return (select.value || '').trim();
+        },
+
+        /**
+         * Print the receipt captured by the previous submit if this page load
+         * shows the payment was committed; otherwise discard it.
+         */
+        _printPendingReceipt: function() {
+            var receipt = null;
+            try {
+                receipt = JSON.parse(window.sessionStorage.getItem(PENDING_RECEIPT_KEY) || 'null');
+            } catch (e) {
+                receipt = null;
+            }
+            this.clearPending();
+
+            if (!receipt) {
+                return;
+            }
+
+            var committed = this._findCommittedPayment();
+            if (!committed) {
+                // Validation failed or the payment was cancelled - no receipt
+                if (window.qzConfig.debugMode) {
+                    console.log('QZ Tray: No committed payment found, discarding pending receipt');
+                }
+                return;
+            }
+
+            // Koha's own receipt link carries the authoritative amounts
+            receipt.paymentId = committed.paymentId;
+            if (committed.tendered) {
+                receipt.tendered = committed.tendered;
+            }
+            if (committed.change) {
+                receipt.change = committed.change;
+            }
+
+            this.printReceipt(receipt);
+        },
+
+        /**
+         * Find Koha's print-receipt URL for a just-committed payment. Koha renders
+         * it as a link, or only inside a script when FinePaymentAutoPopup is on.
+         * Returns { paymentId, tendered, change } or null.
+         */
+        _findCommittedPayment: function() {
+            var pattern = /printreceipt\.pl\?[^"'\s]*accountlines_id=(\d+)[^"'\s]*/;
+            var match = null;
+
+            var links = document.querySelectorAll('a[href*="printreceipt.pl"]');
+            for (var i = 0; i < links.length && !match; i++) {
+                match = pattern.exec(links[i].getAttribute('href'));
+            }
+
+            if (!match) {
+                var scripts = document.querySelectorAll('script:not([src])');
+                for (var j = 0; j < scripts.length && !match; j++) {
+                    match = pattern.exec(scripts[j].textContent);
+                }
+            }
+
+            if (!match) {
+                return null;
+            }
+
+            var query = match[0].replace(/&amp;/g, '&');
+            var param = function(name) {
+                var found = new RegExp('[?&]' + name + '=([^&]*)').exec(query);
+                return found ? decodeURIComponent(found[1].replace(/\+/g, ' ')) : '';
+            };
+
+            return {
+                paymentId: match[1],
+                tendered: param('tendered'),
+                change: param('change')
+            };
+        },
+
+        /**
+         * Send a receipt to the register's printer
+         */
+        printReceipt: function(receipt) {
+            var self = this;
+
+            this.auth.setupSecurity();
+
+            return this.availability.useConnection()
+                .then(function() {
+                    return self._getPrinter();
+                })
+                .then(function(printer) {
+                    if (window.qzConfig.debugMode) {
+                        console.log('QZ Tray: Printing receipt to:', printer);
+                    }
+                    var dialect = self.drawer ? self.drawer.getPrinterDialect(printer) : 'escpos';
+                    return self._send(printer, self.buildReceipt(receipt, dialect)).then(function() {
+                        return printer;
+                    });
+                })
+                .then(function(printer) {
+                    if (window.qzConfig.debugMode) {
+                        console.log('QZ Tray: Receipt printed on', printer);
+                    }
+                })
+                .catch(function(error) {
+                    console.error('QZ Tray: Receipt printing failed:', error);
+
+                    self.messaging.logError({
+                        error: 'Receipt printing failed: ' + (error.message || error),
+                        context: 'qztray_receipt_print'
+                    });
+                    self.availability.logDiagnostic({
+                        category: 'receipt',
+                        failureType: 'error',
+                        error: error
+                    });
+                    self.messaging.showWarning('The till receipt could not be printed. Please use Koha\'s "Print receipt" option instead.');
+                });
+        },
+
+        /**
+         * Send receipt data to an OS printer, or over a raw socket for
+         * network targets (host:port)
+         */
+        _send: function(printer, data) {
+            var target = this.network ? this.network.parseTarget(printer) : null;
+            if (target) {
+                return this.network.send(target, data.join(''), 'Cp858');
+            }
+
+            return this.availability.call('print', printer, { encoding: 'Cp858' }, data);
+        },
+
+        /**
+         * Receipts go to the register's mapped printer, else the system default
+         */
+        _getPrinter: function() {
+            var printer = this.config.getPrinter();
+            if (printer) {
+                return Promise.resolve(printer);
+            }
+            return this.availability.call('printers.getDefault');
+        },
+
+        /**
+         * Build the raw receipt data in the given command dialect
+         */
+        buildReceipt: function(receipt, dialect) {
+            var commands = new QZCommandSet(dialect).receiptCommands();
+            var lines = [];
+            var rule = new Array(LINE_WIDTH + 1).join('-');
+            var date = receipt.timestamp ? new Date(receipt.timestamp) : new Date();
+
+            lines.push(commands.init + commands.codePage);
+
+            lines.push(commands.alignCenter + commands.boldOn);
+            if (receipt.library) {
+                lines.push(receipt.library + '\n');
+            }
+            lines.push('Receipt\n' + commands.boldOff);
+            lines.push(commands.alignLeft + rule + '\n');
+
+            lines.push(this._columns('Date:', date.toLocaleString()));
+            if (receipt.register) {
+                lines.push(this._columns('Register:', receipt.register));
+            }
+            if (receipt.staff) {
+                lines.push(this._columns('Served by:', receipt.staff));
+            }
+            if (receipt.paymentId) {
+                lines.push(this._columns('Payment ID:', receipt.paymentId));
+            }
+            lines.push(rule + '\n');
+
+            (receipt.items || []).forEach(function(item) {
+                lines.push(this._wrap(item.description));
+                lines.push(this._columns('  ' + item.quantity + ' x ' + item.price, item.total));
+            }, this);
+            lines.push(rule + '\n');
+
+            lines.push(commands.boldOn + this._columns('Total', receipt.paid) + commands.boldOff);
+            var tenderedLabel = receipt.paymentType ? 'Tendered (' + receipt.paymentType + ')' : 'Tendered';
+            lines.push(this._columns(tenderedLabel, receipt.tendered));
+            lines.push(this._columns('Change given', receipt.change));
+            lines.push(rule + '\n');
+
+            lines.push(commands.alignCenter + 'Thank you\n');
+            lines.push('\n\n\n' + commands.cut);
+
+            return lines;
+        },
+
+        /**
+         * Left/right justify two values on one receipt line
+         */
+        _columns: function(left, right) {
+            left = String(left || '');
+            right = String(right || '');
+            var space = LINE_WIDTH - left.length - right.length;
+            if (space < 1) {
+                // Too wide for one line: the left value on its own line,
+                // then the right value justified, or wrapped if even that
+                // is too wide
+                var first = left ? this._wrap(left) : '';
+                if (right.length >= LINE_WIDTH) {
+                    return first + this._wrap(right);
+                }
+                return first + this._columns('', right);
+            }
+            return left + new Array(space + 1).join(' ') + right + '\n';
+        },
+
+        /**
+         * Word-wrap text to the receipt width
+         */
+        _wrap: function(text) {
+            var words = String(text || '').split(/\s+/);
+            var output = '';
+            var line = '';
+
+            words.forEach(function(word) {
+                if (line && (line.length + 1 + word.length) > LINE_WIDTH) {
+                    output += line + '\n';
+                    line = '';
+                }
+                while (word.length > LINE_WIDTH) {
+                    output += word.substring(0, LINE_WIDTH) + '\n';
+                    word = word.substring(LINE_WIDTH);
+                }
+                line = line ? line + ' ' + word : word;
+            });
+
+            return output + line + '\n';
+        }
+    };
+
+    // Export to global scope
+    window.QZReceipt = QZReceipt;
+
+})(window);
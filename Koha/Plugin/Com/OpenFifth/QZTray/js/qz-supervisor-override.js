@@ -0,0 +1,179 @@
+/**
+ * QZ Tray Supervisor Override Dialog
+ * Lightweight, self-contained modal shown when a staff member without the
+ * no-sale permission clicks the POS toolbar's "Open cash drawer" button. A
+ * supervisor enters their Koha username and password (or override PIN) on the
+ * spot, and the server checks them before the drawer may open.
+ *
+ * Pure vanilla JS with no dependency on Bootstrap's JavaScript — it builds its
+ * own overlay so it works regardless of what the host page has loaded.
+ */
+
+(function(window) {
+    'use strict';
+
+    function QZSupervisorOverride() {
+        this._active = false;
+    }
+
+    QZSupervisorOverride.prototype = {
+        /**
+         * Present the dialog.
+         *
+         * @param {Function} authorise - called with { userid, password } when
+         *        the supervisor submits; returns a Promise that resolves with
+         *        the server's authorisation or rejects with an Error whose
+         *        message is shown so the supervisor can try again.
+         * @returns {Promise<Object>} resolves with the authorisation; rejects
+         *          with Error('NO_SALE_CANCELLED') if the dialog is dismissed.
+         */
+        ask: function(authorise) {
+            var self = this;
+
+            return new Promise(function(resolve, reject) {
+                if (self._active) {
+                    reject(new Error('NO_SALE_CANCELLED'));
+                    return;
+                }
+                self._active = true;
+
+                var overlay = document.createElement('div');
+                overlay.className = 'qz-supervisor-overlay';
+                overlay.setAttribute('style',
+                    'position:fixed;top:0;left:0;right:0;bottom:0;z-index:2050;' +
+                    'display:flex;align-items:center;justify-content:center;' +
+                    'background:rgba(0,0,0,0.5);');
+
+                var box = document.createElement('div');
+                box.className = 'qz-supervisor-dialog';
+                box.setAttribute('role', 'dialog');
+                box.setAttribute('aria-modal', 'true');
+                box.setAttribute('style',
+                    'background:#fff;color:#000;border-radius:6px;max-width:400px;' +
+                    'width:90%;padding:20px;box-shadow:0 4px 24px rgba(0,0,0,0.35);');
+
+                var title = document.createElement('h3');
+                title.textContent = 'Supervisor authorisation';
+                title.style.marginTop = '0';
+
+                var intro = document.createElement('p');
+                intro.className = 'text-muted';
+                intro.textContent = 'Opening the cash drawer without a transaction needs a supervisor. ' +
+                    'Ask a supervisor to enter their username and password or PIN.';
+
+                var userid = document.createElement('input');
+                userid.type = 'text';
+                userid.className = 'form-control';
+                userid.setAttribute('aria-label', 'Supervisor username');
+                userid.setAttribute('autocomplete', 'off');
+                userid.placeholder = 'Supervisor username';
+                userid.style.width = '100%';
+                userid.style.marginBottom = '8px';
+
+                var password = document.createElement('input');
+                password.type = 'password';
+                password.className = 'form-control';
+                password.setAttribute('aria-label', 'Password or PIN');
+                password.setAttribute('autocomplete', 'off');
+                password.placeholder = 'Password or PIN';
+                password.style.width = '100%';
+                password.style.marginBottom = '8px';
+
+                var error = document.createElement('div');
+                error.className = 'text-danger';
+                error.style.minHeight = '1.5em';
+                error.style.marginBottom = '8px';
+
+                var btnRow = document.createElement('div');
+                btnRow.style.textAlign = 'right';
+
+                var cancelBtn = document.createElement('button');
+                cancelBtn.type = 'button';
+                cancelBtn.className = 'btn btn-default btn-secondary';
+                cancelBtn.textContent = 'Cancel';
+                cancelBtn.style.marginRight = '8px';
+
+                var okBtn = document.createElement('button');
+                okBtn.type = 'button';
+                okBtn.className = 'btn btn-primary';
+                okBtn.textContent = 'Authorise';
+
+                btnRow.appendChild(cancelBtn);
+                btnRow.appendChild(okBtn);
+
+                box.appendChild(title);
+                box.appendChild(intro);
+                box.appendChild(userid);
+                box.appendChild(password);
+                box.appendChild(error);
+                box.appendChild(btnRow);
+                overlay.appendChild(box);
+                document.body.appendChild(overlay);
+
+                try { userid.focus(); } catch (e) { /* ignore */ }
+
+                var checking = false;
+
+                function cleanup() {
+                    if (overlay.parentNode) {
+                        overlay.parentNode.removeChild(overlay);
+                    }
+                    self._active = false;
+                }
+
+                function cancel() {
+                    if (checking) {
+                        return;
+                    }
+                    cleanup();
+                    reject(new Error('NO_SALE_CANCELLED'));
+                }
+
+                function submit() {
+                    if (checking) {
+                        return;
+                    }
+                    if (!userid.value.trim() || !password.value) {
+                        error.textContent = 'Please enter a username and password or PIN.';
+                        return;
+                    }
+
+                    checking = true;
+                    okBtn.disabled = true;
+                    cancelBtn.disabled = true;
+                    error.textContent = '';
+
+                    authorise({ userid: userid.value.trim(), password: password.value })
+                        .then(function(authorisation) {
+                            cleanup();
+                            resolve(authorisation);
+                        })
+                        .catch(function(err) {
+                            checking = false;
+                            okBtn.disabled = false;
+                            cancelBtn.disabled = false;
+                            password.value = '';
+                            error.textContent = (err && err.message) ? err.message : 'Authorisation failed.';
+                            password.focus();
+                        });
+                }
+
+                cancelBtn.addEventListener('click', cancel);
+                okBtn.addEventListener('click', submit);
+
+                overlay.addEventListener('keydown', function(e) {
+                    if (e.key === 'Escape') {
+                        cancel();
+                    } else if (e.key === 'Enter') {
+                        e.preventDefault();
+                        submit();
+                    }
+                });
+            });
+        }
+    };
+
+    // Export to global scope
+    window.QZSupervisorOverride = QZSupervisorOverride;
+
+})(window);
@@ -0,0 +1,537 @@
+/**
+ * QZ Tray Tab Coordinator
+ * Lets the tabs of one workstation (e.g. pos/pay.pl and paycollect.pl open
+ * side by side) share a single QZ Tray connection. One tab owns the socket
+ * and tells the others when QZ Tray becomes available or unavailable; the
+ * other tabs send their drawer and print requests to it and get its result
+ * back. Short cross-tab locks stop two tabs kicking the drawer at once.
+ *
+ * Messages go over BroadcastChannel, or localStorage 'storage' events in
+ * browsers without it. Ownership and locks are granted with Web Locks, so
+ * two tabs can't both win; browsers without them fall back to writing a
+ * claim and keeping it only if it is still the one stored a moment later.
+ * Without localStorage each tab works on its own.
+ */
+
+(function(window) {
+    'use strict';
+
+    var CHANNEL_NAME = 'qz-tray';
+    var MESSAGE_KEY = 'qzTrayTabMessage';
+    var OWNER_KEY = 'qzTrayConnectionOwner';
+    var AVAILABILITY_KEY = 'qzTrayAvailability';
+    var LOCK_KEY_PREFIX = 'qzTrayLock:';
+    var WEB_LOCK_PREFIX = 'qz-tray:';
+    var OWNER_LOCK = 'connection-owner';
+
+    // Each tab renews its ownership and locks this often; one not renewed
+    // within its TTL belongs to a tab that was closed or crashed
+    var HEARTBEAT_MS = 2000;
+    var OWNER_TTL_MS = 10000;
+    var LOCK_TTL_MS = 15000;
+
+    // How long a tab waits for the owner to answer a request
+    var REQUEST_TIMEOUT_MS = 15000;
+
+    // Spread out tabs taking over from a closed owner so only one wins
+    var TAKEOVER_JITTER_MS = 500;
+
+    // Without Web Locks, how long a tab lets other tabs' competing claims
+    // land before checking whether its own claim survived
+    var CLAIM_SETTLE_MS = 50;
+
+    var tabId = Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+    var storageUsable = (function() {
+        try {
+            window.localStorage.setItem('qzTrayStorageTest', '1');
+            window.localStorage.removeItem('qzTrayStorageTest');
+            return true;
+        } catch (e) {
+            return false;
+        }
+    })();
+
+    var channel = null;
+    var hooks = {};
+    var heartbeatTimer = null;
+    var takeoverTimer = null;
+
+    // Handlers for requests from other tabs, by operation, and this tab's
+    // requests awaiting an answer, by id
+    var handlers = {};
+    var pendingRequests = {};
+    var nextRequestId = 1;
+
+    // Locks held by this tab, and the functions releasing the Web Locks
+    // behind them (and behind ownership), by name
+    var heldLocks = {};
+    var webLockReleases = {};
+
+    function readRecord(key) {
+        try {
+            var raw = window.localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function writeRecord(key, record) {
+        try {
+            window.localStorage.setItem(key, JSON.stringify(record));
+        } catch (e) {
+            // Storage full or blocked - the other tabs just won't see it
+        }
+    }
+
+    function removeRecord(key) {
+        try {
+            window.localStorage.removeItem(key);
+        } catch (e) {
+            // Nothing to remove
+        }
+    }
+
+    function isLive(record) {
+        return !!(record && record.expires > Date.now());
+    }
+
+    function webLocksUsable() {
+        return !!(window.navigator && window.navigator.locks &&
+            typeof window.navigator.locks.request === 'function');
+    }
+
+    function debug() {
+        if (window.qzConfig && window.qzConfig.debugMode) {
+            console.log.apply(console, arguments);
+        }
+    }
+
+    var QZTabCoordinator = {
+        /**
+         * Start listening to the other tabs and renewing this tab's
+         * ownership and locks. The hooks are called for messages from
+         * other tabs:
+         *   onAvailability(available)  the owner's QZ Tray availability changed
+         *   onOwnerGone()              the owner was closed and this tab took
+         *                              over the connection
+         */
+        start: function(startHooks) {
+            hooks = startHooks || {};
+
+            if (!storageUsable || heartbeatTimer) {
+                return;
+            }
+
+            if (typeof window.BroadcastChannel === 'function') {
+                channel = new window.BroadcastChannel(CHANNEL_NAME);
+                channel.onmessage = function(event) {
+                    QZTabCoordinator._receive(event.data);
+                };
+            } else {
+                window.addEventListener('storage', function(event) {
+                    if (event.key === MESSAGE_KEY && event.newValue) {
+                        try {
+                            QZTabCoordinator._receive(JSON.parse(event.newValue));
+                        } catch (e) {
+                            // Not one of ours
+                        }
+                    }
+                });
+            }
+
+            heartbeatTimer = setInterval(function() {
+                QZTabCoordinator._heartbeat();
+            }, HEARTBEAT_MS);
+
+            window.addEventListener('pagehide', function() {
+                QZTabCoordinator._leave();
+            });
+        },
+
+        /**
+         * Whether this tab owns the QZ Tray connection
+         */
+        isOwner: function() {
+            if (!storageUsable) {
+                return true;
+            }
+            var owner = readRecord(OWNER_KEY);
+            return !!(owner && owner.tabId === tabId);
+        },
+
+        /**
+         * Whether another open tab owns the QZ Tray connection
+         */
+        hasLiveOwner: function() {
+            if (!storageUsable) {
+                return false;
+            }
+            var owner = readRecord(OWNER_KEY);
+            return isLive(owner) && owner.tabId !== tabId;
+        },
+
+        /**
+         * Own the QZ Tray connection, unless another open tab already does.
+         * Resolves with whether this tab is now the owner.
+         */
+        becomeOwner: function() {
+            if (!storageUsable || webLockReleases[OWNER_LOCK] || this.isOwner()) {
+                this._writeOwner();
+                return Promise.resolve(true);
+            }
+            if (this.hasLiveOwner()) {
+                return Promise.resolve(false);
+            }
+
+            return this._acquire(OWNER_LOCK, OWNER_KEY, OWNER_TTL_MS).then(function(won) {
+                if (won) {
+                    QZTabCoordinator._writeOwner();
+                }
+                return won;
+            });
+        },
+
+        /**
+         * Handle an operation requested by other tabs while this tab owns
+         * the connection. The handler gets the request data and returns the
+         * result, or a Promise of it; both must survive JSON.
+         */
+        handle: function(op, handler) {
+            handlers[op] = handler;
+        },
+
+        /**
+         * Ask the tab that owns the connection to run an operation. Resolves
+         * with its result, or rejects with its error, or if it doesn't answer.
+         */
+        request: function(op, data) {
+            var id = tabId + ':' + (nextRequestId++);
+
+            debug('QZ Tray: Asking the tab that owns the connection to run ' + op);
+
+            return new Promise(function(resolve, reject) {
+                pendingRequests[id] = {
+                    resolve: resolve,
+                    reject: reject,
+                    timer: setTimeout(function() {
+                        delete pendingRequests[id];
+                        reject(new Error('The tab connected to QZ Tray did not answer'));
+                    }, REQUEST_TIMEOUT_MS)
+                };
+                QZTabCoordinator._post('request', { id: id, op: op, data: data });
+            });
+        },
+
+        /**
+         * The availability last announced by the owning tab: true/false, or
+         * undefined if no open tab owns the connection or the owner hasn't
+         * announced it yet (a record left by an earlier owner doesn't count)
+         */
+        getSharedAvailability: function() {
+            if (!this.hasLiveOwner()) {
+                return undefined;
+            }
+            var owner = readRecord(OWNER_KEY);
+            var record = readRecord(AVAILABILITY_KEY);
+            return (record && record.tabId === owner.tabId && typeof record.available === 'boolean')
+                ? record.available : undefined;
+        },
+
+        /**
+         * Tell the other tabs QZ Tray became available or unavailable
+         */
+        publishAvailability: function(available) {
+            if (!storageUsable) {
+                return;
+            }
+            writeRecord(AVAILABILITY_KEY, { available: available, tabId: tabId, at: Date.now() });
+            this._post('availability', { available: available });
+        },
+
+        /**
+         * Take a lock shared by all tabs. Resolves with false if another
+         * tab holds it; taking a lock this tab already holds succeeds.
+         */
+        claim: function(name) {
+            if (!storageUsable || heldLocks[name]) {
+                heldLocks[name] = true;
+                return Promise.resolve(true);
+            }
+
+            // Released a moment ago and the Web Lock not yet given back
+            if (webLockReleases[name]) {
+                heldLocks[name] = true;
+                writeRecord(LOCK_KEY_PREFIX + name, { tabId: tabId, expires: Date.now() + LOCK_TTL_MS });
+                return Promise.resolve(true);
+            }
+
+            if (this.heldElsewhere(name)) {
+                debug('QZ Tray: ' + name + ' lock held by another tab');
+                return Promise.resolve(false);
+            }
+
+            return this._acquire(name, LOCK_KEY_PREFIX + name, LOCK_TTL_MS).then(function(won) {
+                if (!won) {
+                    debug('QZ Tray: ' + name + ' lock taken by another tab first');
+                    return false;
+                }
+                heldLocks[name] = true;
+                writeRecord(LOCK_KEY_PREFIX + name, { tabId: tabId, expires: Date.now() + LOCK_TTL_MS });
+                return true;
+            });
+        },
+
+        /**
+         * Release a lock taken with claim()
+         */
+        release: function(name) {
+            delete heldLocks[name];
+
+            // Give the Web Lock back once whoever was waiting on it in this
+            // tab has had the chance to take the lock again
+            Promise.resolve().then(function() {
+                if (!heldLocks[name]) {
+                    QZTabCoordinator._releaseWebLock(name);
+                }
+            });
+
+            if (!storageUsable) {
+                return;
+            }
+
+            var record = readRecord(LOCK_KEY_PREFIX + name);
+            if (record && record.tabId === tabId) {
+                removeRecord(LOCK_KEY_PREFIX + name);
+            }
+        },
+
+        /**
+         * Whether another tab holds a lock
+         */
+        heldElsewhere: function(name) {
+            if (!storageUsable) {
+                return false;
+            }
+            var record = readRecord(LOCK_KEY_PREFIX + name);
+            return isLive(record) && record.tabId !== tabId;
+        },
+
+        /**
+         * Get debug information
+         */
+        getDebugInfo: function() {
+            return {
+                tabId: tabId,
+                shared: storageUsable,
+                transport: channel ? 'BroadcastChannel' : (storageUsable ? 'localStorage' : 'none'),
+                owner: this.isOwner(),
+                otherTabOwns: this.hasLiveOwner(),
+                sharedAvailability: this.getSharedAvailability(),
+                heldLocks: Object.keys(heldLocks),
+                pendingRequests: Object.keys(pendingRequests).length
+            };
+        },
+
+        /**
+         * Send a message to the other tabs (internal method)
+         */
+        _post: function(type, data) {
+            var message = { type: type, from: tabId, data: data || {}, nonce: Math.random() };
+
+            try {
+                if (channel) {
+                    channel.postMessage(message);
+                } else {
+                    // Other tabs see the write as a 'storage' event
+                    window.localStorage.setItem(MESSAGE_KEY, JSON.stringify(message));
+                    window.localStorage.removeItem(MESSAGE_KEY);
+                }
+            } catch (e) {
+                debug('QZ Tray: Failed to message other tabs:', e);
+            }
+        },
+
+        /**
+         * Handle a message from another tab (internal method)
+         */
+        _receive: function(message) {
+            if (!message || message.from === tabId) {
+                return;
+            }
+
+            var data = message.data || {};
+
+            switch (message.type) {
+                case 'request':
+                    if (this.isOwner() && handlers[data.op]) {
+                        this._answer(message.from, data);
+                    }
+                    break;
+
+                case 'response':
+                    var pending = pendingRequests[data.id];
+                    if (!pending) {
+                        return;
+                    }
+                    delete pendingRequests[data.id];
+                    clearTimeout(pending.timer);
+                    if (data.error !== undefined) {
+                        pending.reject(new Error(data.error));
+                    } else {
+                        pending.resolve(data.result);
+                    }
+                    break;
+
+                case 'availability':
+                    if (hooks.onAvailability) {
+                        hooks.onAvailability(!!data.available);
+                    }
+                    break;
+
+                case 'owner-left':
+                    this._scheduleTakeover();
+                    break;
+            }
+        },
+
+        /**
+         * Take a cross-tab lock without racing another tab doing the same
+         * (internal method). A Web Lock is granted to one tab only, and
+         * released by the browser if the tab goes away. Without them, write
+         * a claim, let competing claims land, and win only if ours is still
+         * the one stored.
+         */
+        _acquire: function(name, recordKey, ttlMs) {
+            if (webLocksUsable()) {
+                return new Promise(function(resolve) {
+                    window.navigator.locks.request(WEB_LOCK_PREFIX + name, { ifAvailable: true }, function(lock) {
+                        if (!lock) {
+                            resolve(false);
+                            return null;
+                        }
+                        // Held until the returned promise settles
+                        return new Promise(function(releaseLock) {
+                            webLockReleases[name] = releaseLock;
+                            resolve(true);
+                        });
+                    }).catch(function(error) {
+                        debug('QZ Tray: Web Lock request for ' + name + ' failed:', error);
+                        resolve(false);
+                    });
+                });
+            }
+
+            var nonce = Math.random().toString(36).slice(2, 12);
+            writeRecord(recordKey, { tabId: tabId, nonce: nonce, expires: Date.now() + ttlMs });
+
+            return new Promise(function(resolve) {
+                setTimeout(function() {
+                    var record = readRecord(recordKey);
+                    resolve(!!(record && record.tabId === tabId && record.nonce === nonce));
+                }, CLAIM_SETTLE_MS);
+            });
+        },
+
+        /**
+         * Give back a Web Lock taken by _acquire() (internal method)
+         */
+        _releaseWebLock: function(name) {
+            if (webLockReleases[name]) {
+                webLockReleases[name]();
+                delete webLockReleases[name];
+            }
+        },
+
+        /**
+         * Run another tab's request and send back the result (internal method)
+         */
+        _answer: function(requester, request) {
+            debug('QZ Tray: Running ' + request.op + ' for another tab');
+
+            Promise.resolve()
+                .then(function() {
+                    return handlers[request.op](request.data);
+                })
+                .then(function(result) {
+                    QZTabCoordinator._post('response', { id: request.id, to: requester, result: result });
+                }, function(error) {
+                    QZTabCoordinator._post('response', {
+                        id: request.id,
+                        to: requester,
+                        error: (error && error.message) ? String(error.message) : String(error)
+                    });
+                });
+        },
+
+        /**
+         * Renew this tab's ownership and locks, and notice an owner that
+         * went away without saying so (internal method)
+         */
+        _heartbeat: function() {
+            var owner = readRecord(OWNER_KEY);
+            if (owner && owner.tabId === tabId) {
+                this._writeOwner();
+            } else if (!isLive(owner)) {
+                this._scheduleTakeover();
+            }
+
+            var expires = Date.now() + LOCK_TTL_MS;
+            Object.keys(heldLocks).forEach(function(name) {
+                writeRecord(LOCK_KEY_PREFIX + name, { tabId: tabId, expires: expires });
+            });
+        },
+
+        /**
+         * Take the connection over from an owner that has gone, unless
+         * another tab gets there first (internal method)
+         */
+        _scheduleTakeover: function() {
+            if (takeoverTimer || !hooks.onOwnerGone) {
+                return;
+            }
+
+            takeoverTimer = setTimeout(function() {
+                takeoverTimer = null;
+                var owner = readRecord(OWNER_KEY);
+                if (isLive(owner) || (owner && owner.tabId === tabId)) {
+                    return;
+                }
+                QZTabCoordinator.becomeOwner().then(function(won) {
+                    if (won) {
+                        debug('QZ Tray: Owning tab has gone, took the connection over');
+                        hooks.onOwnerGone();
+                    }
+                });
+            }, Math.random() * TAKEOVER_JITTER_MS);
+        },
+
+        /**
+         * Record this tab as the owner (internal method)
+         */
+        _writeOwner: function() {
+            if (storageUsable) {
+                writeRecord(OWNER_KEY, { tabId: tabId, expires: Date.now() + OWNER_TTL_MS });
+            }
+        },
+
+        /**
+         * Give up ownership and locks as the tab closes (internal method)
+         */
+        _leave: function() {
+            Object.keys(heldLocks).forEach(function(name) {
+                QZTabCoordinator.release(name);
+            });
+
+            if (this.isOwner()) {
+                removeRecord(OWNER_KEY);
+                this._releaseWebLock(OWNER_LOCK);
+                this._post('owner-left');
+            }
+        }
+    };
+
+    // Export to global scope
+    window.QZTabCoordinator = QZTabCoordinator;
+
+})(window);
@@ -1,66 +1,219 @@
 /**
  * QZ Tray Transaction Lock Manager
- * Simple global transaction locking to prevent concurrent operations
+ * Locks that record who holds them (the POS toolbar, or which page config)
+ * and release themselves after a time limit, so a promise that never settles
+ * can't wedge the till. QZTransactionLock guards a button's drawer workflow
+ * within the tab; QZTransactionLock.create() makes further locks, optionally
+ * shared with the workstation's other tabs through QZTabCoordinator. Shared
+ * locks are taken with acquire(), as winning them takes a moment.
  */
 
 (function(window) {
     'use strict';
 
-    // Single source of truth for transaction state
-    var transactionInProgress = false;
+    // Fallback for how long a lock may be held before it is released
+    // anyway; the effective value comes from window.qzConfig.lockTimeoutMs
+    // (set on the plugin config page)
+    var DEFAULT_LOCK_TIMEOUT_MS = 30000;
 
-    var QZTransactionLock = {
+    // Each acquisition gets its own lease, so a holder whose lock expired
+    // can't release the lock someone else has since taken
+    var nextLease = 1;
+
+    function getTimeoutMs() {
+        var configured = window.qzConfig && window.qzConfig.lockTimeoutMs;
+        var n = parseInt(configured, 10);
+        return (isFinite(n) && n > 0) ? n : DEFAULT_LOCK_TIMEOUT_MS;
+    }
+
+    function debugMode() {
+        return !!(window.qzConfig && window.qzConfig.debugMode);
+    }
+
+    function Lock(name, shared) {
+        this.name = name;
+        this.shared = !!shared;
+        this.holder = null; // { lease, owner, acquiredAt, expiresAt }
+        this.expiryTimer = null;
+        this.onRelease = null; // called whenever a held lock is released
+    }
+
+    Lock.prototype = {
         /**
-         * Attempt to acquire transaction lock
-         * Returns true if lock acquired, false if already locked
+         * Attempt to acquire the lock in this tab for an owner, e.g. 'POS
+         * toolbar' or a page config description. Returns a lease to pass to
+         * unlock(), or false if the lock is already held (here or, for a
+         * shared lock, known to be held in another tab). Use acquire() to
+         * hold a shared lock against the other tabs.
          */
-        lock: function() {
-            if (transactionInProgress) {
-                if (window.qzConfig && window.qzConfig.debugMode) {
-                    console.warn('QZ Tray: Transaction already in progress');
+        lock: function(owner) {
+            if (this.holder) {
+                if (debugMode()) {
+                    console.warn('QZ Tray: ' + this.name + ' lock already held by ' + this.holder.owner);
                 }
                 return false;
             }
 
-            transactionInProgress = true;
+            if (this.shared && QZTabCoordinator.heldElsewhere(this.name)) {
+                return false;
+            }
+
+            var self = this;
+            var now = Date.now();
+            var timeoutMs = getTimeoutMs();
 
-            if (window.qzConfig && window.qzConfig.debugMode) {
-                console.log('QZ Tray: Transaction lock acquired');
+            this.holder = {
+                lease: nextLease++,
+                owner: owner || 'unknown',
+                acquiredAt: now,
+                expiresAt: now + timeoutMs
+            };
+
+            this.expiryTimer = setTimeout(function() {
+                self._expire();
+            }, timeoutMs);
+
+            if (debugMode()) {
+                console.log('QZ Tray: ' + this.name + ' lock acquired by ' + this.holder.owner);
             }
 
-            return true;
+            return this.holder.lease;
         },
 
         /**
-         * Release transaction lock
+         * Acquire the lock, holding a shared lock against the workstation's
+         * other tabs too. Resolves with a lease to pass to unlock(), or false
+         * if the lock is held here or another tab got it first.
          */
-        unlock: function() {
-            if (window.qzConfig && window.qzConfig.debugMode) {
-                console.log('QZ Tray: Transaction lock released');
+        acquire: function(owner) {
+            var self = this;
+            var lease = this.lock(owner);
+
+            if (!lease || !this.shared) {
+                return Promise.resolve(lease);
             }
 
-            transactionInProgress = false;
+            return QZTabCoordinator.claim(this.name).then(function(claimed) {
+                if (self.holder && self.holder.lease === lease) {
+                    if (claimed) {
+                        return lease;
+                    }
+                    // Nothing was waiting on it here, so don't wake anyone
+                    self._release(true);
+                }
+                return false;
+            });
         },
 
         /**
-         * Check if transaction is currently in progress
+         * Release the lock. With a lease, only if that acquisition still
+         * holds it.
+         */
+        unlock: function(lease) {
+            if (!this.holder || (lease && lease !== this.holder.lease)) {
+                return;
+            }
+
+            if (debugMode()) {
+                console.log('QZ Tray: ' + this.name + ' lock released by ' + this.holder.owner);
+            }
+
+            this._release();
+        },
+
+        /**
+         * Check if the lock is currently held
          */
         isLocked: function() {
-            return transactionInProgress;
+            return !!this.holder || (this.shared && QZTabCoordinator.heldElsewhere(this.name));
+        },
+
+        /**
+         * Who holds the lock in this tab, or null
+         */
+        getOwner: function() {
+            return this.holder ? this.holder.owner : null;
         },
 
         /**
          * Force unlock (use with caution - mainly for error recovery)
          */
         forceUnlock: function() {
-            if (window.qzConfig && window.qzConfig.debugMode) {
-                console.warn('QZ Tray: Transaction lock force-released');
+            if (debugMode()) {
+                console.warn('QZ Tray: ' + this.name + ' lock force-released' +
+                    (this.holder ? ' (held by ' + this.holder.owner + ')' : ''));
+            }
+
+            this._release();
+        },
+
+        /**
+         * Get debug information
+         */
+        getDebugInfo: function() {
+            var now = Date.now();
+
+            return {
+                name: this.name,
+                locked: this.isLocked(),
+                heldByOtherTab: this.shared && !this.holder && QZTabCoordinator.heldElsewhere(this.name),
+                owner: this.getOwner(),
+                heldForMs: this.holder ? now - this.holder.acquiredAt : null,
+                expiresInMs: this.holder ? Math.max(0, this.holder.expiresAt - now) : null,
+                timeoutMs: getTimeoutMs()
+            };
+        },
+
+        /**
+         * Release a lock held past its time limit (internal method)
+         */
+        _expire: function() {
+            if (!this.holder) {
+                return;
             }
 
-            transactionInProgress = false;
+            if (debugMode()) {
+                console.warn('QZ Tray: ' + this.name + ' lock held by ' + this.holder.owner +
+                    ' expired after ' + (Date.now() - this.holder.acquiredAt) + 'ms, releasing it');
+            }
+
+            this._release();
+        },
+
+        /**
+         * Release the lock and, unless quiet, tell whoever is waiting
+         * (internal method)
+         */
+        _release: function(quiet) {
+            if (this.expiryTimer) {
+                clearTimeout(this.expiryTimer);
+                this.expiryTimer = null;
+            }
+
+            var wasHeld = !!this.holder;
+            this.holder = null;
+
+            if (this.shared) {
+                QZTabCoordinator.release(this.name);
+            }
+
+            if (wasHeld && !quiet && typeof this.onRelease === 'function') {
+                this.onRelease();
+            }
         }
     };
 
+    // Guards a drawer button's workflow, one at a time per tab
+    var QZTransactionLock = new Lock('transaction', false);
+
+    /**
+     * Make another lock; a shared one is also held against the
+     * workstation's other tabs
+     */
+    QZTransactionLock.create = function(name, shared) {
+        return new Lock(name, shared);
+    };
+
     // Export to global scope
     window.QZTransactionLock = QZTransactionLock;
 
@@ -7,14 +7,27 @@
 (function(window) {
     'use strict';
 
+    var NO_TILL_WARNING_ID = 'qz-no-till-warning';
+    var RETRY_BUTTON_ID = 'qz-retry-connection';
+    var NO_TILL_WARNING =
+        '<span id="' + NO_TILL_WARNING_ID + '"><strong>No till connected.</strong> Till will not open when taking payments.</span> ' +
+        '<button type="button" id="' + RETRY_BUTTON_ID + '" class="btn btn-default btn-secondary btn-sm">Retry connection</button>';
+
     // Ensure all required modules are available
-    if (typeof QZTransactionLock === 'undefined' ||
+    if (typeof QZEvents === 'undefined' ||
+        typeof QZTabCoordinator === 'undefined' ||
+        typeof QZTransactionLock === 'undefined' ||
         typeof QZConfig === 'undefined' ||
         typeof QZMessaging === 'undefined' ||
         typeof QZAuth === 'undefined' ||
         typeof QZAvailability === 'undefined' ||
         typeof QZPrinterPicker === 'undefined' ||
+        typeof QZReasonDialog === 'undefined' ||
+        typeof QZSupervisorOverride === 'undefined' ||
+        typeof QZNetworkPrinter === 'undefined' ||
+        typeof QZCommandSet === 'undefined' ||
         typeof QZDrawer === 'undefined' ||
+        typeof QZReceipt === 'undefined' ||
         typeof QZPageDetector === 'undefined' ||
         typeof QZButtonManager === 'undefined' ||
         typeof QZPosToolbar === 'undefined') {
@@ -29,11 +42,15 @@
         auth: null,
         availability: null,
         picker: null,
+        network: null,
         drawer: null,
+        receipt: null,
         pageDetector: null,
         buttonManager: null,
         posToolbar: null,
         initialized: false,
+        enabled: false,
+        _unsubscribeAvailability: null,
 
         /**
          * Initialize QZ Tray integration
@@ -56,10 +73,18 @@
             this.auth = new QZAuth(this.config, this.messaging);
             this.availability = new QZAvailability(this.config, this.auth);
             this.picker = new QZPrinterPicker();
-            this.drawer = new QZDrawer(this.config, this.messaging, this.auth, this.availability, this.picker);
+            this.network = new QZNetworkPrinter(this.availability);
+            this.drawer = new QZDrawer(this.config, this.messaging, this.auth, this.availability, this.picker, this.network);
+            this.receipt = new QZReceipt(this.config, this.messaging, this.auth, this.availability, this.network, this.drawer);
             this.pageDetector = new QZPageDetector();
             this.buttonManager = new QZButtonManager(this.drawer, this.pageDetector);
-            this.posToolbar = new QZPosToolbar(this.drawer);
+            this.posToolbar = new QZPosToolbar(this.drawer, new QZReasonDialog(), new QZSupervisorOverride());
+
+            // Notice QZ Tray being quit or the till restarting mid-session
+            this.availability.watchConnection();
+
+            // Share one connection and the drawer with this workstation's other tabs
+            this.availability.coordinateTabs();
 
             // Initialize configuration and check certificate status
             return this.config.initialize().then(function(status) {
@@ -71,10 +96,8 @@
                     } else {
                         console.log('QZ Tray: Not available - transactions will proceed without drawer operations');
 
-                        // Show user-visible warning when QZ is unavailable.
-                        // showWarning() interpolates the message as HTML, so the
-                        // <strong> wrapper renders as expected.
-                        this.messaging.showWarning('<strong>No till connected.</strong> Till will not open when taking payments.');
+                        // Show user-visible warning when QZ is unavailable
+                        this._showNoTillWarning();
                     }
 
                     if (window.qzConfig.debugMode) {
@@ -89,22 +112,24 @@
 
                     // Only initialize button replacement and toolbar if QZ is available
                     if (available) {
-                        // Initialize button replacement
-                        this.buttonManager.initialize();
-
-                        // Initialize POS toolbar now that drawer is ready
-                        this.posToolbar.initialize();
-
-                        // Discover and log printers if discovery mode or debug mode is enabled
-                        if (window.qzConfig.discoveryMode || window.qzConfig.debugMode) {
-                            this.discoverPrinters();
-                        }
+                        this._enable();
                     } else {
                         if (window.qzConfig.debugMode) {
                             console.log('QZ Tray: Skipping button replacement - QZ not available');
                         }
+
+                        // No till to print on - staff fall back to Koha's receipt
+                        this.receipt.clearPending();
+
+                        // Wire everything up if QZ Tray is started later
+                        this.availability.startReconnecting();
                     }
 
+                    // Follow QZ Tray starting and stopping from now on
+                    this._unsubscribeAvailability = QZEvents.on('availability-changed', function(event) {
+                        this._onAvailabilityChanged(event.detail.available);
+                    }.bind(this));
+
                     return status;
                 }.bind(this));
             }.bind(this)).catch(function(error) {
@@ -114,16 +139,140 @@
             }.bind(this));
         },
 
+        /**
+         * Replace the trigger buttons and add the POS toolbar and receipt
+         * printing, once QZ Tray is available (internal method)
+         */
+        _enable: function() {
+            if (this.enabled) {
+                return;
+            }
+            this.enabled = true;
+
+            // Initialize button replacement
+            this.buttonManager.initialize();
+
+            // Initialize POS toolbar now that drawer is ready
+            this.posToolbar.initialize();
+
+            // Print the receipt for a just-committed POS payment and
+            // watch the payment form for the next one
+            this.receipt.initialize();
+
+            // Discover and log printers if discovery mode or debug mode is enabled
+            if (window.qzConfig.discoveryMode || window.qzConfig.debugMode) {
+                this.discoverPrinters();
+            }
+        },
+
+        /**
+         * Put Koha's own buttons back and remove the toolbar when QZ Tray
+         * goes away, so payments carry on without the drawer (internal method)
+         */
+        _disable: function() {
+            if (!this.enabled) {
+                return;
+            }
+            this.enabled = false;
+
+            this.buttonManager.resetButtons();
+            this.posToolbar.remove();
+        },
+
+        /**
+         * React to QZ Tray connecting or disconnecting after page load
+         * (internal method)
+         */
+        _onAvailabilityChanged: function(available) {
+            if (available) {
+                if (window.qzConfig.debugMode) {
+                    console.log('QZ Tray: Connected - cash drawer operations enabled');
+                }
+                this.availability.stopReconnecting();
+                this.messaging.clearMessage(NO_TILL_WARNING_ID);
+                this._enable();
+            } else {
+                if (window.qzConfig.debugMode) {
+                    console.log('QZ Tray: Disconnected - transactions will proceed without drawer operations');
+                }
+                this._disable();
+                this._showNoTillWarning();
+                this.availability.startReconnecting();
+            }
+        },
+
+        /**
+         * Warn that there's no till, with a button to retry the connection.
+         * showWarning() interpolates the message as HTML, so the markup
+         * renders as expected. (internal method)
+         */
+        _showNoTillWarning: function() {
+            var self = this;
+
+            this.messaging.showWarning(NO_TILL_WARNING);
+
+            var retryButton = document.getElementById(RETRY_BUTTON_ID);
+            if (!retryButton) {
+                return; // Shown as an alert, with nowhere to put the button
+            }
+
+            retryButton.addEventListener('click', function() {
+                retryButton.disabled = true;
+                retryButton.textContent = 'Connecting...';
+                self.retryConnection();
+            });
+        },
+
+        /**
+         * Check again for QZ Tray straight away, e.g. after staff have
+         * started it. On success the drawer buttons, toolbar and discovery
+         * are set up without reloading the page (which could lose a
+         * half-filled payment form); on failure the warning is shown again
+         * and background reconnection carries on. Resolves to true/false.
+         */
+        retryConnection: function() {
+            if (!this.initialized) {
+                return Promise.reject(new Error('QZ Tray not initialized'));
+            }
+
+            if (window.qzConfig.debugMode) {
+                console.log('QZ Tray: Retrying connection');
+            }
+
+            // The check replaces the pending background attempt
+            this.availability.stopReconnecting();
+            return this.availability.recheckAvailability();
+        },
+
+        /**
+         * Subscribe to a till event; see qz-events.js for the events and
+         * their details. Returns a function that unsubscribes the handler.
+         * Available before initialisation, so customisations can subscribe
+         * as soon as the page loads.
+         */
+        on: function(name, handler) {
+            return QZEvents.on(name, handler);
+        },
+
+        /**
+         * Unsubscribe a handler added with on()
+         */
+        off: function(name, handler) {
+            QZEvents.off(name, handler);
+        },
+
         /**
          * Open cash drawer (legacy function for backward compatibility)
+         *
+         * @param {Object} [context] What triggered the opening, for the audit log
          */
-        openDrawer: function() {
+        openDrawer: function(context) {
             if (!this.initialized) {
                 console.error('QZ Tray: Not initialized');
                 return Promise.reject(new Error('QZ Tray not initialized'));
             }
 
-            return this.drawer.openDrawer();
+            return this.drawer.openDrawer(context || { description: 'QZTrayIntegration.openDrawer' });
         },
 
         /**
@@ -136,6 +285,7 @@
 
             return {
                 initialized: this.initialized,
+                enabled: this.enabled,
                 availability: this.availability.getStatus(),
                 config: {
                     isValid: this.config.isValid(),
@@ -145,9 +295,13 @@
                 page: this.pageDetector.getDebugInfo(),
                 buttons: this.buttonManager.getDebugInfo(),
                 posToolbar: this.posToolbar.getDebugInfo(),
+                tabs: QZTabCoordinator.getDebugInfo(),
                 drawer: {
-                    operationInProgress: this.drawer.isOperationInProgress()
-                }
+                    operationInProgress: this.drawer.isOperationInProgress(),
+                    lock: this.drawer.operationLock.getDebugInfo(),
+                    queue: this.drawer.getQueueInfo()
+                },
+                transactionLock: QZTransactionLock.getDebugInfo()
             };
         },
 
@@ -161,6 +315,14 @@
             if (this.posToolbar) {
                 this.posToolbar.remove();
             }
+            if (this._unsubscribeAvailability) {
+                this._unsubscribeAvailability();
+                this._unsubscribeAvailability = null;
+            }
+            if (this.availability) {
+                this.availability.stopReconnecting();
+            }
+            this.enabled = false;
             this.initialized = false;
             if (window.qzConfig.debugMode) {
                 console.log('QZ Tray: Integration reset');
@@ -184,20 +346,34 @@
             // Set up authentication
             this.auth.setupSecurity();
 
-            // Reuse the socket opened by the availability check rather than
-            // opening (and tearing down) a second connection.
-            this.availability.ensureConnected().then(function() {
+            // Reuse the socket opened by the availability check, or another
+            // tab's, rather than opening (and tearing down) a second connection.
+            this.availability.useConnection().then(function() {
                 if (window.qzConfig.debugMode) {
                     console.log('QZ Tray: Connection ready for printer discovery');
                 }
-                return qz.printers.find();
+                return self.availability.call('printers.find');
+            }).then(function(printers) {
+                return self._discoverNetworkPrinter(printers);
             }).then(function(printers) {
+                // Serial ports are listed for serial-port cash drawers; a till
+                // without serial support still reports its printers
+                return self.availability.call('serial.findPorts').catch(function(error) {
+                    if (window.qzConfig.debugMode) {
+                        console.log('QZ Tray: Serial port discovery failed:', error);
+                    }
+                    return [];
+                }).then(function(serialPorts) {
+                    return { printers: printers, serialPorts: serialPorts || [] };
+                });
+            }).then(function(found) {
                 if (window.qzConfig.debugMode) {
-                    console.log('QZ Tray: Discovered printers:', printers);
+                    console.log('QZ Tray: Discovered printers:', found.printers);
+                    console.log('QZ Tray: Discovered serial ports:', found.serialPorts);
                 }
 
-                // Send discovered printers to server for logging
-                self._logDiscoveredPrinters(printers);
+                // Send discovered printers and serial ports to server for logging
+                self._logDiscoveredPrinters(found.printers, found.serialPorts);
                 // Leave the socket open for drawer operations.
             }).catch(function(error) {
                 if (window.qzConfig.debugMode) {
@@ -206,11 +382,45 @@
             });
         },
 
+        /**
+         * Add the register's network printer (host:port) to the discovered
+         * printers when it accepts connections from this till. Unreachable
+         * targets are reported to diagnostics instead. (internal method)
+         */
+        _discoverNetworkPrinter: function(printers) {
+            printers = Array.isArray(printers) ? printers.slice() : (printers ? [printers] : []);
+
+            var mapped = this.config.getPrinter();
+            var target = this.network.parseTarget(mapped);
+            if (!target) {
+                return printers;
+            }
+
+            var self = this;
+            return this.network.probe(target).then(function(reachable) {
+                if (reachable) {
+                    printers.push(mapped);
+                } else {
+                    self.availability.logDiagnostic({
+                        category: 'drawer',
+                        failureType: 'network_unreachable',
+                        error: new Error('Network printer ' + mapped + ' is not accepting connections'),
+                        printer: mapped
+                    });
+                }
+                return printers;
+            });
+        },
+
         /**
          * Log discovered printers to server (internal method)
          */
-        _logDiscoveredPrinters: function(printers) {
-            if ((!window.qzConfig.discoveryMode && !window.qzConfig.debugMode) || !printers || printers.length === 0) {
+        _logDiscoveredPrinters: function(printers, serialPorts) {
+            printers = printers || [];
+            serialPorts = serialPorts || [];
+
+            if ((!window.qzConfig.discoveryMode && !window.qzConfig.debugMode) ||
+                (printers.length === 0 && serialPorts.length === 0)) {
                 return;
             }
 
@@ -226,6 +436,7 @@
                 credentials: 'same-origin',
                 body: JSON.stringify({
                     printers: printers,
+                    serial_ports: serialPorts,
                     register_id: registerid || '',
                     page_url: window.location.pathname || 'unknown'
                 })
@@ -0,0 +1,46 @@
+use Modern::Perl;
+use Test::More tests => 4;
+use JSON::MaybeXS qw(decode_json);
+use Path::Tiny qw(path);
+
+# Get the plugin directory path
+my $plugin_dir = $ENV{KOHA_PLUGIN_DIR} || '.';
+my $package_json_path = path($plugin_dir)->child('package.json');
+
+# Add plugin directory to @INC
+unshift @INC, $plugin_dir;
+
+my $plugin_module = decode_json($package_json_path->slurp)->{plugin}->{module};
+use_ok($plugin_module);
+my $plugin = $plugin_module->new();
+
+subtest 'decimal and hex bytes' => sub {
+    plan tests => 4;
+
+    is_deeply( [ $plugin->_parse_drawer_bytes('27, 112, 0, 25, 250') ], [ [ 27, 112, 0, 25, 250 ], undef ], 'Decimal bytes' );
+    is_deeply( [ $plugin->_parse_drawer_bytes('0x1B 0x70 0x00 0x19 0xFA') ], [ [ 27, 112, 0, 25, 250 ], undef ], 'Hex bytes' );
+    is_deeply( [ $plugin->_parse_drawer_bytes("0x1b,112 ,\t0X0") ], [ [ 27, 112, 0 ], undef ], 'Mixed separators, case and notation' );
+    is_deeply( [ $plugin->_parse_drawer_bytes('255 0xff') ], [ [ 255, 255 ], undef ], 'Largest byte in both notations' );
+};
+
+subtest 'out of range and malformed bytes' => sub {
+    plan tests => 6;
+
+    for my $text ( '27, 256', '0x100', '-1', '1000', '0x', 'ESC' ) {
+        my ( $bytes, $error ) = $plugin->_parse_drawer_bytes($text);
+        ok( !$bytes && $error =~ /is not a valid byte/, "'$text' is refused" );
+    }
+};
+
+subtest 'empty and long codes' => sub {
+    plan tests => 3;
+
+    my ( $bytes, $error ) = $plugin->_parse_drawer_bytes('');
+    is( $error, 'drawer code is required', 'Empty code is refused' );
+
+    ( $bytes, $error ) = $plugin->_parse_drawer_bytes( join ',', (0) x 33 );
+    is( $error, 'drawer code is too long (max 32 bytes)', '33 bytes are refused' );
+
+    ( $bytes, $error ) = $plugin->_parse_drawer_bytes( join ',', (0) x 32 );
+    is( scalar @$bytes, 32, '32 bytes are accepted' );
+};
@@ -0,0 +1,108 @@
+use Modern::Perl;
+use Test::More tests => 8;
+use Test::MockModule;
+use JSON::MaybeXS qw(decode_json encode_json);
+use Path::Tiny qw(path);
+
+# Get the plugin directory path
+my $plugin_dir = $ENV{KOHA_PLUGIN_DIR} || '.';
+my $package_json_path = path($plugin_dir)->child('package.json');
+
+# Add plugin directory to @INC
+unshift @INC, $plugin_dir;
+
+my $plugin_module = decode_json($package_json_path->slurp)->{plugin}->{module};
+use_ok($plugin_module);
+my $plugin = $plugin_module->new();
+
+# Serve the custom printer registry from memory instead of plugin data
+my @custom_codes;
+my $mock = Test::MockModule->new($plugin_module);
+$mock->mock( retrieve_data => sub {
+    my ( $self, $key ) = @_;
+    return $key eq 'printer_drawer_codes' ? encode_json( \@custom_codes ) : undef;
+} );
+
+sub entry {
+    my ( $pattern, %args ) = @_;
+    return {
+        pattern     => $pattern,
+        match       => $args{match} // 'contains',
+        priority    => $args{priority} // 0,
+        dialect     => 'escpos',
+        bytes       => [ 27, 112, 0, 25, 250 ],
+        description => $args{description} // $pattern,
+    };
+}
+
+sub winner {
+    my ($printer) = @_;
+    my $code = $plugin->_get_printer_drawer_code($printer);
+    return $code ? $code->{description} : undef;
+}
+
+subtest 'higher priority beats a longer match' => sub {
+    plan tests => 1;
+
+    @custom_codes = ( entry('Acme Till 100'), entry( 'Acme', priority => 5 ) );
+    is( winner('Acme Till 100'), 'Acme', 'Priority 5 wins over the longer priority 0 match' );
+};
+
+subtest 'exact match beats a substring of the same length' => sub {
+    plan tests => 2;
+
+    @custom_codes = ( entry( 'Acme Till', description => 'contains' ), entry( 'acme till', match => 'exact', description => 'exact' ) );
+    is( winner('Acme Till'), 'exact', 'Exact match wins although listed second' );
+    is( winner('Acme Till 2'), 'contains', 'Exact match only applies to the whole name' );
+};
+
+subtest 'longest matched text wins' => sub {
+    plan tests => 3;
+
+    @custom_codes = ( entry('Acme'), entry('Acme Till') );
+    is( winner('Acme Till 200'), 'Acme Till', 'Longer substring wins' );
+
+    @custom_codes = ( entry('Acme Till'), entry( '^Acme.*', match => 'regex', description => 'regex' ) );
+    is( winner('Acme Till 300'), 'regex', 'A regex ranks by the text it matched, not the pattern' );
+
+    @custom_codes = ();
+    is( winner('Citizen CBM1000 TYPE II'), 'Citizen CBM1000 Type II', 'Built-in entries follow the same ranking' );
+};
+
+subtest 'registry order breaks remaining ties' => sub {
+    plan tests => 2;
+
+    @custom_codes = ( entry( 'Acme', description => 'first' ), entry( '^acme', match => 'regex', description => 'second' ) );
+    is( winner('Acme Till'), 'first', 'First listed entry wins a tie' );
+
+    @custom_codes = reverse @custom_codes;
+    is( winner('Acme Till'), 'second', 'Reordering the registry changes the winner' );
+};
+
+subtest 'custom entries override built-in ones' => sub {
+    plan tests => 2;
+
+    @custom_codes = ( entry( 'citizen cbm1000', description => 'custom' ) );
+    my $code = $plugin->_get_printer_drawer_code('Citizen CBM1000');
+    is( $code->{description}, 'custom', 'Custom entry replaces the built-in one with the same pattern' );
+    ok( !$code->{builtin}, 'Winner is the custom entry' );
+};
+
+subtest 'unsupported printers' => sub {
+    plan tests => 2;
+
+    @custom_codes = ( entry('Acme') );
+    is( winner('Generic Text Printer'), undef, 'No match gives undef' );
+    is( winner(''), undef, 'Empty name gives undef' );
+};
+
+subtest 'regex patterns are limited to syntax Perl and JavaScript share' => sub {
+    plan tests => 12;
+
+    for my $pattern ( '^EPSON TM-T8\d', 'Star|Citizen', 'TM-(?:T20|T88)[IVX]*', 'a{2,3}?b', 'TM\.T88' ) {
+        is( $plugin->_portable_regex_error($pattern), undef, "'$pattern' is accepted" );
+    }
+    for my $pattern ( 'TM-T88\Z', '\h', 'a*+', '(?i)epson', '[[:alpha:]]', 'a{3,1}', '(TM' ) {
+        ok( $plugin->_portable_regex_error($pattern), "'$pattern' is refused" );
+    }
+};
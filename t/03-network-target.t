@@ -0,0 +1,37 @@
+use Modern::Perl;
+use Test::More tests => 3;
+use JSON::MaybeXS qw(decode_json);
+use Path::Tiny qw(path);
+
+# Get the plugin directory path
+my $plugin_dir = $ENV{KOHA_PLUGIN_DIR} || '.';
+my $package_json_path = path($plugin_dir)->child('package.json');
+
+# Add plugin directory to @INC
+unshift @INC, $plugin_dir;
+
+my $plugin_module = decode_json($package_json_path->slurp)->{plugin}->{module};
+use_ok($plugin_module);
+my $plugin = $plugin_module->new();
+
+subtest 'host:port targets' => sub {
+    plan tests => 5;
+
+    is_deeply( $plugin->_parse_network_target('192.168.1.50:9100'), { host => '192.168.1.50', port => 9100 }, 'IPv4 address' );
+    is_deeply( $plugin->_parse_network_target('till-1.example.org:9100'), { host => 'till-1.example.org', port => 9100 }, 'Hostname' );
+    is_deeply( $plugin->_parse_network_target('printer:1'), { host => 'printer', port => 1 }, 'Lowest port' );
+    is_deeply( $plugin->_parse_network_target('printer:65535'), { host => 'printer', port => 65535 }, 'Highest port' );
+    is( $plugin->_parse_network_target('printer:09100')->{port}, 9100, 'Port is returned as a number' );
+};
+
+subtest 'not network targets' => sub {
+    my @values = (
+        undef, '', 'EPSON TM-T88V', 'printer', 'printer:', ':9100', 'printer:0', 'printer:65536',
+        'printer:123456', 'print er:9100', '-printer:9100', 'printer.:9100', 'printer:9100 ', '[::1]:9100',
+    );
+    plan tests => scalar @values;
+
+    for my $value (@values) {
+        is( $plugin->_parse_network_target($value), undef, 'Refused: ' . ( $value // 'undef' ) );
+    }
+};
@@ -0,0 +1,55 @@
+use Modern::Perl;
+use Test::More tests => 3;
+use JSON::MaybeXS qw(decode_json);
+use Path::Tiny qw(path);
+
+# Get the plugin directory path
+my $plugin_dir = $ENV{KOHA_PLUGIN_DIR} || '.';
+my $package_json_path = path($plugin_dir)->child('package.json');
+
+# Add plugin directory to @INC
+unshift @INC, $plugin_dir;
+
+my $plugin_module = decode_json($package_json_path->slurp)->{plugin}->{module};
+use_ok($plugin_module);
+my $plugin = $plugin_module->new();
+
+subtest 'valid rules' => sub {
+    plan tests => 5;
+
+    my ( $conditions, $error ) = $plugin->_parse_trigger_conditions(
+        '[{"field":"#collected","greaterThanZero":true},{"field":"[name=\"payment_type\"]","equals":"CASH"}]');
+    is( $error, undef, 'No error' );
+    is( scalar @$conditions, 2, 'Both rules are returned' );
+    ok( $conditions->[0]->{greaterThanZero}, 'First rule keeps its test' );
+    is_deeply( $conditions->[1], { field => '[name="payment_type"]', equals => 'CASH' }, 'Rules keep their order' );
+
+    ( $conditions, $error ) = $plugin->_parse_trigger_conditions('[]');
+    is_deeply( $conditions, [], 'An empty list has no rules' );
+};
+
+subtest 'invalid rules are refused' => sub {
+    my %invalid = (
+        'not JSON'                                            => 'conditions must be a JSON list of rules',
+        '{"field":"#collected","checked":true}'               => 'conditions must be a JSON list of rules',
+        '["#collected"]'                                      => 'each condition must be a JSON object',
+        '[{"checked":true}]'                                  => 'each condition needs a "field" selector',
+        '[{"field":"","checked":true}]'                       => 'each condition needs a "field" selector',
+        '[{"field":["#a"],"checked":true}]'                   => 'each condition needs a "field" selector',
+        '[{"field":"#collected"}]'                            => qr/^condition on '#collected' needs exactly one of: /,
+        '[{"field":"#collected","greaterThan":1}]'            => qr/^condition on '#collected' needs exactly one of: /,
+        '[{"field":"#collected","checked":true,"present":1}]' => qr/^condition on '#collected' needs exactly one of: /,
+        '[{"field":"#collected","checked":true,"extra":1}]'   => qr/^condition on '#collected' needs exactly one of: /,
+    );
+    plan tests => 2 * keys %invalid;
+
+    for my $json ( sort keys %invalid ) {
+        my ( $conditions, $error ) = $plugin->_parse_trigger_conditions($json);
+        is( $conditions, undef, "No rules for $json" );
+        if ( ref $invalid{$json} ) {
+            like( $error, $invalid{$json}, "Error for $json" );
+        } else {
+            is( $error, $invalid{$json}, "Error for $json" );
+        }
+    }
+};